@@ -0,0 +1,83 @@
+// Built-in space templates, available to every user. Ids are fixed so clients
+// can reference them; user templates use generated `template_` ids instead.
+const BUILT_IN_TEMPLATES = [
+    {
+        templateId: 'default',
+        name: 'Bucket List',
+        icon: '📁',
+        description: 'A general bucket list with the classic categories',
+        categories: [
+            { name: 'Places', icon: '🌍' },
+            { name: 'Books', icon: '📚' },
+            { name: 'Movies', icon: '🎬' },
+            { name: 'Experiences', icon: '✨' },
+            { name: 'Goals', icon: '🎯' },
+            { name: 'Other', icon: '📌' }
+        ]
+    },
+    {
+        templateId: 'empty',
+        name: 'Empty',
+        icon: '📁',
+        description: 'No categories, start from scratch',
+        categories: []
+    },
+    {
+        templateId: 'travel',
+        name: 'Travel',
+        icon: '✈️',
+        description: 'Destinations, stays, food and activities for trips',
+        categories: [
+            { name: 'Countries', icon: '🗺️' },
+            { name: 'Cities', icon: '🏙️' },
+            { name: 'Nature', icon: '🏔️' },
+            { name: 'Food to Try', icon: '🍜' },
+            { name: 'Activities', icon: '🎒' }
+        ]
+    },
+    {
+        templateId: 'reading',
+        name: 'Reading List',
+        icon: '📚',
+        description: 'Books to read, grouped by genre',
+        categories: [
+            { name: 'Fiction', icon: '📖' },
+            { name: 'Non-fiction', icon: '🧠' },
+            { name: 'Classics', icon: '🏛️' },
+            { name: 'Recommended to Me', icon: '💬' }
+        ]
+    },
+    {
+        templateId: 'watchlist',
+        name: 'Watchlist',
+        icon: '🎬',
+        description: 'Movies, series and documentaries to watch',
+        categories: [
+            { name: 'Movies', icon: '🎬' },
+            { name: 'Series', icon: '📺' },
+            { name: 'Documentaries', icon: '🎥' }
+        ]
+    },
+    {
+        templateId: 'goals',
+        name: 'Life Goals',
+        icon: '🎯',
+        description: 'Personal goals across areas of life',
+        // Starter items show how the list is meant to be used
+        categories: [
+            { name: 'Health', icon: '💪', items: [{ text: 'Run a half marathon' }] },
+            { name: 'Career', icon: '💼' },
+            { name: 'Skills', icon: '🛠️', items: [{ text: 'Learn a new language' }] },
+            { name: 'Relationships', icon: '❤️' },
+            { name: 'Finance', icon: '💰', items: [{ text: 'Build a six-month emergency fund' }] }
+        ]
+    }
+];
+
+// Used when neither the request nor the user's preferences name a template
+const DEFAULT_TEMPLATE_ID = 'default';
+
+module.exports = {
+    BUILT_IN_TEMPLATES,
+    DEFAULT_TEMPLATE_ID
+};
@@ -1,6 +1,67 @@
 const User = require('../models/User');
 const UserPreferences = require('../models/UserPreferences');
-const { generateToken } = require('../utils/jwt');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+const { findTemplate } = require('../utils/templates');
+const {
+    generateAccessToken,
+    generateRefreshToken,
+    hashToken,
+    getRefreshTokenExpiry
+} = require('../utils/jwt');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+// Link the client opens to complete an emailed action
+const buildActionUrl = (action, token) => {
+    return `${process.env.APP_URL || 'http://localhost:3000'}/${action}?token=${token}`;
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await AuthToken.issue(user.userId, 'email_verification', EMAIL_VERIFICATION_TTL);
+    const url = buildActionUrl('verify-email', token);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${url}\n\nThe link expires in 24 hours.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening <a href="${url}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await AuthToken.issue(user.userId, 'password_reset', PASSWORD_RESET_TTL);
+    const url = buildActionUrl('reset-password', token);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nReset your password by opening this link:\n${url}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Reset your password by opening <a href="${url}">this link</a>.</p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`
+    });
+};
+
+// Create a session for the signing-in device and issue its first token pair
+const startSession = async (user, req) => {
+    const session = new Session({
+        userId: user.userId,
+        deviceName: req.body.deviceName || null,
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip,
+        expiresAt: getRefreshTokenExpiry()
+    });
+
+    const refreshToken = generateRefreshToken(session.sessionId);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+        token: generateAccessToken(user.userId, session.sessionId),
+        refreshToken
+    };
+};
 
 // @desc    Register new user
 // @route   POST /api/v1/auth/register
@@ -33,8 +94,15 @@ const register = async (req, res, next) => {
             userId: user.userId
         });
 
-        // Generate token
-        const token = generateToken(user.userId);
+        // Send verification email; a mail failure should not block sign-up
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Verification email failed:', mailError.message);
+        }
+
+        // Start a session and generate tokens
+        const { token, refreshToken } = await startSession(user, req);
 
         res.status(201).json({
             success: true,
@@ -42,7 +110,9 @@ const register = async (req, res, next) => {
                 userId: user.userId,
                 email: user.email,
                 name: user.name,
+                isEmailVerified: user.isEmailVerified,
                 token,
+                refreshToken,
                 createdAt: user.createdAt
             }
         });
@@ -88,8 +158,8 @@ const login = async (req, res, next) => {
         user.lastLogin = Date.now();
         await user.save();
 
-        // Generate token
-        const token = generateToken(user.userId);
+        // Start a session and generate tokens
+        const { token, refreshToken } = await startSession(user, req);
 
         res.status(200).json({
             success: true,
@@ -97,7 +167,9 @@ const login = async (req, res, next) => {
                 userId: user.userId,
                 email: user.email,
                 name: user.name,
+                isEmailVerified: user.isEmailVerified,
                 token,
+                refreshToken,
                 lastLogin: user.lastLogin
             }
         });
@@ -106,6 +178,309 @@ const login = async (req, res, next) => {
     }
 };
 
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        const sessionId = refreshToken.split('.')[0];
+        const presentedHash = hashToken(refreshToken);
+
+        const session = await Session.findOne({ sessionId })
+            .select('+refreshTokenHash +previousTokenHashes');
+
+        if (!session || !session.isActive()) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'INVALID_REFRESH_TOKEN',
+                    message: 'Refresh token is invalid or expired'
+                }
+            });
+        }
+
+        // A rotated-out token being presented again means it leaked;
+        // revoke the whole session so neither holder can keep using it
+        if (session.previousTokenHashes.includes(presentedHash)) {
+            session.revokedAt = Date.now();
+            session.revokedReason = 'refresh_token_reuse';
+            await session.save();
+
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'REFRESH_TOKEN_REUSED',
+                    message: 'Refresh token has already been used, session revoked'
+                }
+            });
+        }
+
+        if (session.refreshTokenHash !== presentedHash) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'INVALID_REFRESH_TOKEN',
+                    message: 'Refresh token is invalid or expired'
+                }
+            });
+        }
+
+        const newRefreshToken = generateRefreshToken(session.sessionId);
+
+        // Conditional update so two concurrent refreshes cannot both rotate
+        const rotated = await Session.findOneAndUpdate(
+            { sessionId: session.sessionId, refreshTokenHash: presentedHash, revokedAt: null },
+            {
+                refreshTokenHash: hashToken(newRefreshToken),
+                $push: { previousTokenHashes: { $each: [presentedHash], $slice: -50 } },
+                lastUsedAt: Date.now(),
+                expiresAt: getRefreshTokenExpiry()
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'INVALID_REFRESH_TOKEN',
+                    message: 'Refresh token is invalid or expired'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                token: generateAccessToken(rotated.userId, rotated.sessionId),
+                refreshToken: newRefreshToken,
+                expiresAt: rotated.expiresAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Logout current session
+// @route   POST /api/v1/auth/logout
+// @access  Private
+const logout = async (req, res, next) => {
+    try {
+        await Session.findOneAndUpdate(
+            { sessionId: req.sessionId, userId: req.user.userId },
+            { revokedAt: Date.now(), revokedReason: 'logout' }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get active sessions
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session.sessionId,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                isCurrent: session.sessionId === req.sessionId,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Revoke a session (e.g. sign out a lost device)
+// @route   DELETE /api/v1/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = async (req, res, next) => {
+    try {
+        const session = await Session.findOneAndUpdate(
+            { sessionId: req.params.sessionId, userId: req.user.userId, revokedAt: null },
+            { revokedAt: Date.now(), revokedReason: 'revoked_by_user' },
+            { new: true }
+        );
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Session not found'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Verify email address
+// @route   POST /api/v1/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+    try {
+        const authToken = await AuthToken.consume(req.body.token, 'email_verification');
+
+        if (!authToken) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TOKEN',
+                    message: 'Verification link is invalid or has expired'
+                }
+            });
+        }
+
+        await User.findOneAndUpdate(
+            { userId: authToken.userId },
+            { isEmailVerified: true, emailVerifiedAt: Date.now() }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/v1/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res, next) => {
+    try {
+        if (req.user.isEmailVerified) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'ALREADY_VERIFIED',
+                    message: 'Email is already verified'
+                }
+            });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Request password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+
+        // A mail failure must not change the answer either, or it would give
+        // away that the account exists
+        if (user) {
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (mailError) {
+                console.error('Password reset email failed:', mailError.message);
+            }
+        }
+
+        // Same answer either way so the endpoint can't be used to probe accounts
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Reset password with emailed token
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const authToken = await AuthToken.consume(token, 'password_reset');
+
+        if (!authToken) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TOKEN',
+                    message: 'Reset link is invalid or has expired'
+                }
+            });
+        }
+
+        const user = await User.findOne({ userId: authToken.userId });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_TOKEN',
+                    message: 'Reset link is invalid or has expired'
+                }
+            });
+        }
+
+        user.password = password;
+
+        // Following the emailed link proves control of the address
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = Date.now();
+        }
+
+        await user.save();
+
+        // Sign out every device that used the old password
+        await Session.updateMany(
+            { userId: user.userId, revokedAt: null },
+            { revokedAt: Date.now(), revokedReason: 'password_reset' }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully, please log in again'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Get user profile
 // @route   GET /api/v1/auth/profile
 // @access  Private
@@ -120,10 +495,12 @@ const getProfile = async (req, res, next) => {
                 userId: user.userId,
                 email: user.email,
                 name: user.name,
+                isEmailVerified: user.isEmailVerified,
                 createdAt: user.createdAt,
                 preferences: {
                     isDarkMode: preferences?.isDarkMode || true,
-                    themeColor: preferences?.themeColor || 'blue'
+                    themeColor: preferences?.themeColor || 'blue',
+                    defaultTemplateId: preferences?.defaultTemplateId || null
                 }
             }
         });
@@ -137,11 +514,26 @@ const getProfile = async (req, res, next) => {
 // @access  Private
 const updatePreferences = async (req, res, next) => {
     try {
-        const { isDarkMode, themeColor } = req.body;
+        const { isDarkMode, themeColor, defaultTemplateId } = req.body;
+        const update = { isDarkMode, themeColor, updatedAt: Date.now() };
+
+        // null goes back to the built-in default
+        if (defaultTemplateId !== undefined) {
+            if (defaultTemplateId !== null && !(await findTemplate(defaultTemplateId, req.user.userId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'NOT_FOUND',
+                        message: 'Template not found'
+                    }
+                });
+            }
+            update.defaultTemplateId = defaultTemplateId;
+        }
 
         const preferences = await UserPreferences.findOneAndUpdate(
             { userId: req.user.userId },
-            { isDarkMode, themeColor, updatedAt: Date.now() },
+            update,
             { new: true, upsert: true }
         );
 
@@ -149,7 +541,8 @@ const updatePreferences = async (req, res, next) => {
             success: true,
             data: {
                 isDarkMode: preferences.isDarkMode,
-                themeColor: preferences.themeColor
+                themeColor: preferences.themeColor,
+                defaultTemplateId: preferences.defaultTemplateId
             }
         });
     } catch (error) {
@@ -160,6 +553,14 @@ const updatePreferences = async (req, res, next) => {
 module.exports = {
     register,
     login,
+    refresh,
+    logout,
+    getSessions,
+    revokeSession,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
     getProfile,
     updatePreferences
 };
@@ -1,48 +1,73 @@
 const Category = require('../models/Category');
 const Item = require('../models/Item');
+const { deleteCategoryWithItems } = require('../utils/deletion');
+const { formatItem, itemProgress } = require('../utils/formatters');
+const { summarizeBudget } = require('../utils/budget');
+const { moveCategoryTo, copyCategoryTo } = require('../utils/transfer');
+const { validateParent, withoutHiddenBranches, addRollups, nestCategories } = require('../utils/categoryTree');
+
+// Parent for a moved or copied category: the one given, otherwise its current
+// parent when it stays in its space and top level when it changes space
+const targetParentId = (req, category) => {
+    if (req.body.parentId !== undefined) {
+        return req.body.parentId;
+    }
+    return req.targetSpace.spaceId === category.spaceId ? category.parentId : null;
+};
+
+const parentError = (res, problem) => res.status(problem.status).json({
+    success: false,
+    error: {
+        code: problem.code,
+        message: problem.message
+    }
+});
 
 // @desc    Get all categories for a space
 // @route   GET /api/v1/spaces/:spaceId/categories
 // @access  Private
 const getAllCategories = async (req, res, next) => {
     try {
-        const { includeHidden } = req.query;
-        const filter = {
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
-        };
+        const { includeHidden, tree } = req.query;
 
-        if (includeHidden !== 'true') {
-            filter.isHidden = false;
-        }
-
-        const categories = await Category.find(filter).sort({ order: 1 });
+        const categories = await Category.find({ spaceId: req.params.spaceId }).sort({ order: 1 });
 
-        // Get counts and progress for each category
-        const categoriesWithStats = await Promise.all(
+        // Get counts and progress for each category; unfinished items count
+        // for the share of their checklist steps that are done
+        let categoriesWithStats = await Promise.all(
             categories.map(async (category) => {
                 const items = await Item.find({ categoryId: category.categoryId });
                 const totalCount = items.length;
                 const completedCount = items.filter(item => item.isCompleted).length;
-                const progress = totalCount > 0 ? completedCount / totalCount : 0;
+                const progress = totalCount > 0 ? items.reduce((sum, item) => sum + itemProgress(item), 0) / totalCount : 0;
 
                 return {
                     id: category.categoryId,
+                    parentId: category.parentId,
                     name: category.name,
                     icon: category.icon,
                     isHidden: category.isHidden,
                     totalCount,
                     completedCount,
                     progress,
+                    budget: summarizeBudget(items),
                     createdAt: category.createdAt,
                     updatedAt: category.updatedAt
                 };
             })
         );
 
+        // Hiding a category hides its subcategories too
+        if (includeHidden !== 'true') {
+            categoriesWithStats = withoutHiddenBranches(categoriesWithStats);
+        }
+
+        // Counts including subcategories, in `rollup`
+        addRollups(categoriesWithStats);
+
         res.status(200).json({
             success: true,
-            data: categoriesWithStats
+            data: tree === 'true' ? nestCategories(categoriesWithStats) : categoriesWithStats
         });
     } catch (error) {
         next(error);
@@ -56,8 +81,7 @@ const getCategory = async (req, res, next) => {
     try {
         const category = await Category.findOne({
             categoryId: req.params.categoryId,
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
+            spaceId: req.params.spaceId
         });
 
         if (!category) {
@@ -73,28 +97,32 @@ const getCategory = async (req, res, next) => {
         const items = await Item.find({ categoryId: category.categoryId }).sort({ order: 1 });
         const totalCount = items.length;
         const completedCount = items.filter(item => item.isCompleted).length;
-        const progress = totalCount > 0 ? completedCount / totalCount : 0;
+        const progress = totalCount > 0 ? items.reduce((sum, item) => sum + itemProgress(item), 0) / totalCount : 0;
+
+        const subcategories = await Category.find({
+            spaceId: category.spaceId,
+            parentId: category.categoryId
+        }).sort({ order: 1 });
 
         res.status(200).json({
             success: true,
             data: {
                 id: category.categoryId,
+                parentId: category.parentId,
                 name: category.name,
                 icon: category.icon,
                 isHidden: category.isHidden,
                 totalCount,
                 completedCount,
                 progress,
-                items: items.map(item => ({
-                    id: item.itemId,
-                    text: item.text,
-                    isCompleted: item.isCompleted,
-                    categoryId: item.categoryId,
-                    imageUrl: item.imageUrl,
-                    description: item.description,
-                    createdAt: item.createdAt,
-                    updatedAt: item.updatedAt
-                }))
+                budget: summarizeBudget(items),
+                subcategories: subcategories.map(subcategory => ({
+                    id: subcategory.categoryId,
+                    name: subcategory.name,
+                    icon: subcategory.icon,
+                    isHidden: subcategory.isHidden
+                })),
+                items: items.map(formatItem)
             }
         });
     } catch (error) {
@@ -107,17 +135,24 @@ const getCategory = async (req, res, next) => {
 // @access  Private
 const createCategory = async (req, res, next) => {
     try {
-        const { name, icon } = req.body;
+        const { name, icon, parentId = null } = req.body;
+
+        const problem = await validateParent(req.params.spaceId, null, parentId);
+        if (problem) {
+            return parentError(res, problem);
+        }
 
-        // Get the highest order number
+        // Get the highest order number among its siblings
         const lastCategory = await Category.findOne({
-            spaceId: req.params.spaceId
+            spaceId: req.params.spaceId,
+            parentId
         }).sort({ order: -1 });
         const order = lastCategory ? lastCategory.order + 1 : 0;
 
         const category = await Category.create({
             spaceId: req.params.spaceId,
-            userId: req.user.userId,
+            userId: req.space.userId,
+            parentId,
             name,
             icon: icon || '📌',
             order
@@ -127,6 +162,7 @@ const createCategory = async (req, res, next) => {
             success: true,
             data: {
                 id: category.categoryId,
+                parentId: category.parentId,
                 name: category.name,
                 icon: category.icon,
                 isHidden: category.isHidden,
@@ -150,13 +186,18 @@ const updateCategory = async (req, res, next) => {
     try {
         const { name, icon } = req.body;
 
+        // Keep the current icon unless a new one is sent
+        const update = { name, updatedAt: Date.now() };
+        if (icon !== undefined) {
+            update.icon = icon;
+        }
+
         const category = await Category.findOneAndUpdate(
             {
                 categoryId: req.params.categoryId,
-                spaceId: req.params.spaceId,
-                userId: req.user.userId
+                spaceId: req.params.spaceId
             },
-            { name, icon, updatedAt: Date.now() },
+            update,
             { new: true }
         );
 
@@ -194,8 +235,7 @@ const toggleCategoryVisibility = async (req, res, next) => {
         const category = await Category.findOneAndUpdate(
             {
                 categoryId: req.params.categoryId,
-                spaceId: req.params.spaceId,
-                userId: req.user.userId
+                spaceId: req.params.spaceId
             },
             { isHidden, updatedAt: Date.now() },
             { new: true }
@@ -236,8 +276,7 @@ const reorderCategories = async (req, res, next) => {
                 await Category.findOneAndUpdate(
                     {
                         categoryId,
-                        spaceId: req.params.spaceId,
-                        userId: req.user.userId
+                        spaceId: req.params.spaceId
                     },
                     { order: index }
                 );
@@ -253,15 +292,115 @@ const reorderCategories = async (req, res, next) => {
     }
 };
 
-// @desc    Delete category
+// @desc    Move category with its subcategories and items under another parent or space
+// @route   PATCH /api/v1/spaces/:spaceId/categories/:categoryId/move
+// @access  Private
+const moveCategory = async (req, res, next) => {
+    try {
+        const category = await Category.findOne({
+            categoryId: req.params.categoryId,
+            spaceId: req.params.spaceId
+        });
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Category not found'
+                }
+            });
+        }
+
+        const parentId = targetParentId(req, category);
+        const sameSpace = req.targetSpace.spaceId === category.spaceId;
+
+        // Within a space the new parent must not be inside the moved subtree
+        const problem = await validateParent(req.targetSpace.spaceId, sameSpace ? category.categoryId : null, parentId);
+        if (problem) {
+            return parentError(res, problem);
+        }
+
+        const { subcategoriesMoved, itemsMoved } = await moveCategoryTo(category, req.targetSpace, {
+            parentId,
+            position: req.body.position
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: category.categoryId,
+                spaceId: category.spaceId,
+                parentId: category.parentId,
+                order: category.order,
+                subcategoriesMoved,
+                itemsMoved,
+                updatedAt: category.updatedAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Copy category with its subcategories and items, optionally into another space
+// @route   POST /api/v1/spaces/:spaceId/categories/:categoryId/copy
+// @access  Private
+const copyCategory = async (req, res, next) => {
+    try {
+        const category = await Category.findOne({
+            categoryId: req.params.categoryId,
+            spaceId: req.params.spaceId
+        });
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Category not found'
+                }
+            });
+        }
+
+        const parentId = targetParentId(req, category);
+        const problem = await validateParent(req.targetSpace.spaceId, null, parentId);
+        if (problem) {
+            return parentError(res, problem);
+        }
+
+        const { category: copy, subcategoriesCopied, itemsCopied } = await copyCategoryTo(category, req.targetSpace, {
+            parentId,
+            position: req.body.position
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                id: copy.categoryId,
+                spaceId: copy.spaceId,
+                parentId: copy.parentId,
+                name: copy.name,
+                icon: copy.icon,
+                isHidden: copy.isHidden,
+                order: copy.order,
+                subcategoriesCopied,
+                itemsCopied
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Move category to trash, deleting, moving or uncategorizing its items
 // @route   DELETE /api/v1/spaces/:spaceId/categories/:categoryId
 // @access  Private
 const deleteCategory = async (req, res, next) => {
     try {
-        const category = await Category.findOneAndDelete({
+        const category = await Category.findOne({
             categoryId: req.params.categoryId,
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
+            spaceId: req.params.spaceId
         });
 
         if (!category) {
@@ -274,12 +413,37 @@ const deleteCategory = async (req, res, next) => {
             });
         }
 
-        // Delete all items in this category
-        await Item.deleteMany({ categoryId: req.params.categoryId });
+        const { strategy = 'delete', targetCategoryId } = req.query;
+
+        if (strategy === 'move') {
+            if (targetCategoryId === category.categoryId) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'INVALID_INPUT',
+                        message: 'Items cannot be moved into the category being deleted'
+                    }
+                });
+            }
+
+            // Target must belong to this space
+            if (!(await Category.exists({ categoryId: targetCategoryId, spaceId: req.params.spaceId }))) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'NOT_FOUND',
+                        message: 'Target category not found'
+                    }
+                });
+            }
+        }
+
+        const summary = await deleteCategoryWithItems(category, req.user.userId, { strategy, targetCategoryId });
 
         res.status(200).json({
             success: true,
-            message: 'Category deleted successfully'
+            message: 'Category moved to trash',
+            data: summary
         });
     } catch (error) {
         next(error);
@@ -293,5 +457,7 @@ module.exports = {
     updateCategory,
     toggleCategoryVisibility,
     reorderCategories,
+    moveCategory,
+    copyCategory,
     deleteCategory
 };
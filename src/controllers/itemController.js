@@ -1,15 +1,122 @@
+const Space = require('../models/Space');
 const Item = require('../models/Item');
+const Category = require('../models/Category');
+const { deleteItemRecord } = require('../utils/deletion');
+const { formatItem } = require('../utils/formatters');
+const { withTransaction } = require('../utils/transaction');
+const { moveItemTo, copyItemTo } = require('../utils/transfer');
+const { shiftPeriod } = require('../utils/periods');
+const { getStreaks } = require('../utils/recurrence');
+const { toGeoPoint } = require('../utils/geo');
+const {
+    validatePrerequisites,
+    getOpenPrerequisites,
+    findOpenPrerequisiteIds
+} = require('../utils/dependencies');
+
+const prerequisitesOpen = (res, openPrerequisites) => res.status(409).json({
+    success: false,
+    error: {
+        code: 'PREREQUISITES_OPEN',
+        message: 'Complete the prerequisites first, or send force: true to complete it anyway',
+        details: openPrerequisites
+    }
+});
+
+// Copy rating/note/photos from a request body onto an item; null clears a field
+const applyCompletionDetails = (item, body) => {
+    if (body.rating !== undefined) {
+        item.rating = body.rating;
+    }
+    if (body.note !== undefined) {
+        item.completionNote = body.note;
+    }
+    if (body.photos !== undefined) {
+        item.memoryPhotos = body.photos || [];
+    }
+    if (body.actualCost !== undefined) {
+        item.actualCost = body.actualCost;
+    }
+};
+
+// Fields a batch edit may set on every selected item
+const BATCH_EDIT_FIELDS = [
+    'text', 'imageUrl', 'description', 'targetDate', 'dueDate', 'reminderAt',
+    'priority', 'estimatedCost', 'currency', 'estimatedHours'
+];
+
+// Numeric planning fields; like dates, null clears them
+const ESTIMATE_FIELDS = ['priority', 'estimatedCost', 'actualCost', 'currency', 'estimatedHours'];
+
+// Sort keys for item listings, with the direction used when none is given
+const ITEM_SORTS = {
+    order: { field: 'order', direction: 1 },
+    priority: { field: 'priority', direction: -1 },
+    cost: { field: 'estimatedCost', direction: 1 },
+    effort: { field: 'estimatedHours', direction: 1 },
+    dueDate: { field: 'dueDate', direction: 1 },
+    createdAt: { field: 'createdAt', direction: -1 }
+};
+
+// Apply one batch action to an item in memory; saving is left to the caller
+const applyBatchAction = (item, action, body) => {
+    switch (action) {
+        case 'complete':
+            if (!item.isCompleted || body.completedAt) {
+                item.completedAt = body.completedAt || Date.now();
+            }
+            item.isCompleted = true;
+            applyCompletionDetails(item, body);
+            break;
+        case 'uncomplete':
+            item.isCompleted = false;
+            break;
+        case 'move':
+            item.categoryId = body.categoryId || null;
+            break;
+        case 'edit':
+            BATCH_EDIT_FIELDS.forEach(field => {
+                if (body[field] !== undefined) {
+                    item[field] = body[field];
+                }
+            });
+            if (body.tags !== undefined) {
+                item.tags = body.tags;
+            }
+            if (body.addTags || body.removeTags) {
+                const removed = Item.normalizeTags(body.removeTags);
+                item.tags = [...item.tags, ...Item.normalizeTags(body.addTags)]
+                    .filter(tag => !removed.includes(tag));
+            }
+            break;
+    }
+};
 
 // @desc    Get all items in a space
 // @route   GET /api/v1/spaces/:spaceId/items
 // @access  Private
 const getAllItems = async (req, res, next) => {
     try {
-        const { categoryId, isCompleted, uncategorized, limit = 100, offset = 0 } = req.query;
+        const {
+            categoryId,
+            isCompleted,
+            uncategorized,
+            due,
+            withinDays = 7,
+            tags,
+            tagMatch = 'any',
+            minPriority,
+            maxCost,
+            maxHours,
+            currency,
+            sortBy,
+            sortOrder,
+            limit = 100,
+            offset = 0
+        } = req.query;
 
         const filter = {
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
+            spaceId: req.params.spaceId
         };
 
         if (categoryId) {
@@ -24,8 +131,46 @@ const getAllItems = async (req, res, next) => {
             filter.isCompleted = isCompleted === 'true';
         }
 
+        // Comma-separated (or repeated) tags; items need any (default) or all of them
+        if (tags) {
+            const tagList = Item.normalizeTags([].concat(tags).flatMap(value => value.split(',')));
+            if (tagList.length > 0) {
+                filter.tags = tagMatch === 'all' ? { $all: tagList } : { $in: tagList };
+            }
+        }
+
+        if (minPriority !== undefined) {
+            filter.priority = { $gte: parseInt(minPriority) };
+        }
+        if (maxCost !== undefined) {
+            filter.estimatedCost = { $lte: parseFloat(maxCost) };
+        }
+        if (maxHours !== undefined) {
+            filter.estimatedHours = { $lte: parseFloat(maxHours) };
+        }
+        if (currency) {
+            filter.currency = currency.toUpperCase();
+        }
+
+        // Deadline filters only consider open items
+        let sort = { order: 1, createdAt: -1 };
+        if (due === 'overdue' || due === 'upcoming') {
+            const now = new Date();
+            filter.isCompleted = false;
+            filter.dueDate = due === 'overdue'
+                ? { $lt: now }
+                : { $gte: now, $lte: new Date(now.getTime() + parseInt(withinDays) * 24 * 60 * 60 * 1000) };
+            sort = { dueDate: 1, order: 1 };
+        }
+
+        if (sortBy) {
+            const { field, direction } = ITEM_SORTS[sortBy];
+            const chosen = sortOrder ? (sortOrder === 'asc' ? 1 : -1) : direction;
+            sort = { [field]: chosen, order: 1 };
+        }
+
         const items = await Item.find(filter)
-            .sort({ order: 1, createdAt: -1 })
+            .sort(sort)
             .limit(parseInt(limit))
             .skip(parseInt(offset));
 
@@ -34,16 +179,7 @@ const getAllItems = async (req, res, next) => {
         res.status(200).json({
             success: true,
             data: {
-                items: items.map(item => ({
-                    id: item.itemId,
-                    text: item.text,
-                    isCompleted: item.isCompleted,
-                    categoryId: item.categoryId,
-                    imageUrl: item.imageUrl,
-                    description: item.description,
-                    createdAt: item.createdAt,
-                    updatedAt: item.updatedAt
-                })),
+                items: items.map(formatItem),
                 total,
                 limit: parseInt(limit),
                 offset: parseInt(offset)
@@ -61,8 +197,67 @@ const getItem = async (req, res, next) => {
     try {
         const item = await Item.findOne({
             itemId: req.params.itemId,
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
+            spaceId: req.params.spaceId
+        });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Item not found'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: formatItem(item)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get open items whose prerequisites are all done
+// @route   GET /api/v1/spaces/:spaceId/items/available
+// @access  Private
+const getAvailableItems = async (req, res, next) => {
+    try {
+        const filter = { spaceId: req.params.spaceId, isCompleted: false };
+
+        if (req.query.categoryId) {
+            filter.categoryId = req.query.categoryId;
+        }
+
+        const items = await Item.find(filter).sort({ order: 1, createdAt: -1 });
+        const spaceIds = await Space.findIdsAccessibleBy(req.user.userId);
+        const openPrerequisiteIds = await findOpenPrerequisiteIds(items, spaceIds);
+        const available = items.filter(item =>
+            !item.prerequisiteIds.some(prerequisiteId => openPrerequisiteIds.has(prerequisiteId))
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                items: available.map(formatItem),
+                total: available.length,
+                blockedCount: items.length - available.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the completion history and streaks of a recurring item
+// @route   GET /api/v1/spaces/:spaceId/items/:itemId/history
+// @access  Private
+const getItemHistory = async (req, res, next) => {
+    try {
+        const item = await Item.findOne({
+            itemId: req.params.itemId,
+            spaceId: req.params.spaceId
         });
 
         if (!item) {
@@ -75,17 +270,41 @@ const getItem = async (req, res, next) => {
             });
         }
 
+        if (!item.recurrence) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'NOT_RECURRING',
+                    message: 'Item does not recur'
+                }
+            });
+        }
+
+        const { current, longest } = getStreaks(item);
+
         res.status(200).json({
             success: true,
             data: {
                 id: item.itemId,
-                text: item.text,
-                isCompleted: item.isCompleted,
-                categoryId: item.categoryId,
-                imageUrl: item.imageUrl,
-                description: item.description,
-                createdAt: item.createdAt,
-                updatedAt: item.updatedAt
+                recurrence: item.recurrence,
+                currentPeriod: {
+                    start: item.periodStart,
+                    end: shiftPeriod(item.recurrence, item.periodStart, 1),
+                    isCompleted: item.isCompleted
+                },
+                currentStreak: current,
+                longestStreak: longest,
+                totalCompletions: item.completionHistory.length,
+                // Newest first
+                history: [...item.completionHistory].reverse().map(entry => ({
+                    recurrence: entry.recurrence || item.recurrence,
+                    periodStart: entry.periodStart,
+                    periodEnd: shiftPeriod(entry.recurrence || item.recurrence, entry.periodStart, 1),
+                    completedAt: entry.completedAt,
+                    rating: entry.rating,
+                    completionNote: entry.completionNote,
+                    memoryPhotos: entry.memoryPhotos
+                }))
             }
         });
     } catch (error) {
@@ -98,7 +317,52 @@ const getItem = async (req, res, next) => {
 // @access  Private
 const createItem = async (req, res, next) => {
     try {
-        const { text, categoryId, imageUrl, description } = req.body;
+        const {
+            text,
+            categoryId,
+            imageUrl,
+            description,
+            targetDate,
+            dueDate,
+            reminderAt,
+            tags,
+            steps,
+            autoCompleteSteps,
+            recurrence,
+            priority,
+            estimatedCost,
+            currency,
+            estimatedHours,
+            location,
+            prerequisiteIds
+        } = req.body;
+
+        // Category must belong to this space
+        if (categoryId && !(await Category.exists({ categoryId, spaceId: req.params.spaceId }))) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Category not found'
+                }
+            });
+        }
+
+        const prerequisiteError = await validatePrerequisites(
+            null,
+            req.space.userId,
+            prerequisiteIds,
+            await Space.findIdsAccessibleBy(req.user.userId)
+        );
+        if (prerequisiteError) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_PREREQUISITES',
+                    message: prerequisiteError
+                }
+            });
+        }
 
         // Get the highest order number for this category
         const filter = { spaceId: req.params.spaceId };
@@ -113,26 +377,34 @@ const createItem = async (req, res, next) => {
 
         const item = await Item.create({
             spaceId: req.params.spaceId,
-            userId: req.user.userId,
+            userId: req.space.userId,
             text,
             categoryId: categoryId || null,
             imageUrl,
             description,
+            targetDate,
+            dueDate,
+            reminderAt,
+            tags,
+            steps: (steps || []).map(step => (typeof step === 'string' ? { text: step } : {
+                text: step.text,
+                isCompleted: Boolean(step.isCompleted),
+                completedAt: step.isCompleted ? new Date() : null
+            })),
+            autoCompleteSteps,
+            recurrence,
+            priority,
+            estimatedCost,
+            currency,
+            estimatedHours,
+            location: toGeoPoint(location),
+            prerequisiteIds: [...new Set(prerequisiteIds || [])],
             order
         });
 
         res.status(201).json({
             success: true,
-            data: {
-                id: item.itemId,
-                text: item.text,
-                isCompleted: item.isCompleted,
-                categoryId: item.categoryId,
-                imageUrl: item.imageUrl,
-                description: item.description,
-                createdAt: item.createdAt,
-                updatedAt: item.updatedAt
-            }
+            data: formatItem(item)
         });
     } catch (error) {
         next(error);
@@ -144,17 +416,66 @@ const createItem = async (req, res, next) => {
 // @access  Private
 const updateItem = async (req, res, next) => {
     try {
-        const { text, imageUrl, description } = req.body;
-
-        const item = await Item.findOneAndUpdate(
-            {
-                itemId: req.params.itemId,
-                spaceId: req.params.spaceId,
-                userId: req.user.userId
-            },
-            { text, imageUrl, description, updatedAt: Date.now() },
-            { new: true }
-        );
+        const update = { updatedAt: Date.now() };
+
+        // Fields are only touched when sent; null clears them
+        ['text', 'imageUrl', 'description', 'targetDate', 'dueDate', 'reminderAt', ...ESTIMATE_FIELDS].forEach(field => {
+            if (req.body[field] !== undefined) {
+                update[field] = req.body[field];
+            }
+        });
+
+        if (req.body.tags !== undefined) {
+            update.tags = Item.normalizeTags(req.body.tags);
+        }
+
+        if (req.body.autoCompleteSteps !== undefined) {
+            update.autoCompleteSteps = req.body.autoCompleteSteps;
+        }
+
+        if (req.body.location !== undefined) {
+            update.location = toGeoPoint(req.body.location);
+        }
+
+        if (req.body.prerequisiteIds !== undefined) {
+            const prerequisiteIds = [...new Set(req.body.prerequisiteIds)];
+            const prerequisiteError = await validatePrerequisites(
+                req.params.itemId,
+                req.space.userId,
+                prerequisiteIds,
+                await Space.findIdsAccessibleBy(req.user.userId)
+            );
+            if (prerequisiteError) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'INVALID_PREREQUISITES',
+                        message: prerequisiteError
+                    }
+                });
+            }
+            update.prerequisiteIds = prerequisiteIds;
+        }
+
+        // A new recurrence starts counting from the current period (the model
+        // sets periodStart and records a completion the item already has)
+        if (req.body.recurrence !== undefined) {
+            update.recurrence = req.body.recurrence;
+            if (!req.body.recurrence) {
+                update.periodStart = null;
+            }
+        }
+
+        // A new reminder time needs to fire again
+        if (update.reminderAt !== undefined) {
+            update.reminderSentAt = null;
+        }
+
+        // Saved as a document so the model's hooks and validators run
+        const item = await Item.findOne({
+            itemId: req.params.itemId,
+            spaceId: req.params.spaceId
+        });
 
         if (!item) {
             return res.status(404).json({
@@ -166,17 +487,18 @@ const updateItem = async (req, res, next) => {
             });
         }
 
+        item.set(update);
+        await item.save();
+
+        // Steps all done but a prerequisite open: the item stays open
+        const openPrerequisites = item.$locals.autoCompleteHeld
+            ? await getOpenPrerequisites(item, await Space.findIdsAccessibleBy(req.user.userId))
+            : [];
+
         res.status(200).json({
             success: true,
-            data: {
-                id: item.itemId,
-                text: item.text,
-                isCompleted: item.isCompleted,
-                categoryId: item.categoryId,
-                imageUrl: item.imageUrl,
-                description: item.description,
-                updatedAt: item.updatedAt
-            }
+            data: formatItem(item),
+            ...(openPrerequisites.length > 0 ? { warnings: { openPrerequisites } } : {})
         });
     } catch (error) {
         next(error);
@@ -190,8 +512,7 @@ const toggleItemCompletion = async (req, res, next) => {
     try {
         const item = await Item.findOne({
             itemId: req.params.itemId,
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
+            spaceId: req.params.spaceId
         });
 
         if (!item) {
@@ -204,39 +525,95 @@ const toggleItemCompletion = async (req, res, next) => {
             });
         }
 
+        // Open prerequisites block completion unless the client insists, in
+        // which case they are passed back as a warning
+        const openPrerequisites = item.isCompleted
+            ? []
+            : await getOpenPrerequisites(item, await Space.findIdsAccessibleBy(req.user.userId));
+        if (openPrerequisites.length > 0 && !req.body.force) {
+            return prerequisitesOpen(res, openPrerequisites);
+        }
+
         item.isCompleted = !item.isCompleted;
         item.updatedAt = Date.now();
+
+        // Completing records when it happened plus any details sent along;
+        // un-completing keeps the details for the next completion
+        if (item.isCompleted) {
+            item.completedAt = req.body.completedAt || Date.now();
+            applyCompletionDetails(item, req.body);
+        }
+
         await item.save();
 
         res.status(200).json({
             success: true,
-            data: {
-                id: item.itemId,
-                isCompleted: item.isCompleted,
-                updatedAt: item.updatedAt
-            }
+            data: formatItem(item),
+            ...(openPrerequisites.length > 0 ? { warnings: { openPrerequisites } } : {})
         });
     } catch (error) {
         next(error);
     }
 };
 
-// @desc    Move item to category
+// @desc    Update completion details (rating, note, photos)
+// @route   PATCH /api/v1/spaces/:spaceId/items/:itemId/completion
+// @access  Private
+const updateCompletionDetails = async (req, res, next) => {
+    try {
+        const item = await Item.findOne({
+            itemId: req.params.itemId,
+            spaceId: req.params.spaceId
+        });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Item not found'
+                }
+            });
+        }
+
+        applyCompletionDetails(item, req.body);
+        if (req.body.completedAt !== undefined) {
+            item.completedAt = req.body.completedAt;
+        }
+        item.updatedAt = Date.now();
+        await item.save();
+
+        res.status(200).json({
+            success: true,
+            data: formatItem(item)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Move item to another category, optionally in another space
 // @route   PATCH /api/v1/spaces/:spaceId/items/:itemId/move
 // @access  Private
 const moveItem = async (req, res, next) => {
     try {
-        const { categoryId } = req.body;
-
-        const item = await Item.findOneAndUpdate(
-            {
-                itemId: req.params.itemId,
-                spaceId: req.params.spaceId,
-                userId: req.user.userId
-            },
-            { categoryId: categoryId || null, updatedAt: Date.now() },
-            { new: true }
-        );
+        const { categoryId, position } = req.body;
+
+        // Category must belong to the destination space
+        if (categoryId && !(await Category.exists({ categoryId, spaceId: req.targetSpace.spaceId }))) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Category not found'
+                }
+            });
+        }
+
+        const item = await Item.findOne({
+            itemId: req.params.itemId,
+            spaceId: req.params.spaceId
+        });
 
         if (!item) {
             return res.status(404).json({
@@ -248,11 +625,15 @@ const moveItem = async (req, res, next) => {
             });
         }
 
+        await moveItemTo(item, req.targetSpace, { categoryId: categoryId || null, position });
+
         res.status(200).json({
             success: true,
             data: {
                 id: item.itemId,
+                spaceId: item.spaceId,
                 categoryId: item.categoryId,
+                order: item.order,
                 updatedAt: item.updatedAt
             }
         });
@@ -261,6 +642,54 @@ const moveItem = async (req, res, next) => {
     }
 };
 
+// @desc    Copy item into a category, optionally in another space
+// @route   POST /api/v1/spaces/:spaceId/items/:itemId/copy
+// @access  Private
+const copyItem = async (req, res, next) => {
+    try {
+        const { categoryId, position } = req.body;
+
+        // Category must belong to the destination space
+        if (categoryId && !(await Category.exists({ categoryId, spaceId: req.targetSpace.spaceId }))) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Category not found'
+                }
+            });
+        }
+
+        const item = await Item.findOne({
+            itemId: req.params.itemId,
+            spaceId: req.params.spaceId
+        });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Item not found'
+                }
+            });
+        }
+
+        const copy = await copyItemTo(item, req.targetSpace, { categoryId: categoryId || null, position });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...formatItem(copy),
+                spaceId: copy.spaceId,
+                order: copy.order
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Reorder items within a category
 // @route   PATCH /api/v1/spaces/:spaceId/categories/:categoryId/items/reorder
 // @access  Private
@@ -274,8 +703,7 @@ const reorderItems = async (req, res, next) => {
                 await Item.findOneAndUpdate(
                     {
                         itemId,
-                        spaceId: req.params.spaceId,
-                        userId: req.user.userId
+                        spaceId: req.params.spaceId
                     },
                     { order: index }
                 );
@@ -291,15 +719,14 @@ const reorderItems = async (req, res, next) => {
     }
 };
 
-// @desc    Delete item
+// @desc    Move item to trash
 // @route   DELETE /api/v1/spaces/:spaceId/items/:itemId
 // @access  Private
 const deleteItem = async (req, res, next) => {
     try {
-        const item = await Item.findOneAndDelete({
+        const item = await Item.findOne({
             itemId: req.params.itemId,
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
+            spaceId: req.params.spaceId
         });
 
         if (!item) {
@@ -312,9 +739,129 @@ const deleteItem = async (req, res, next) => {
             });
         }
 
+        await deleteItemRecord(item, req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Item moved to trash'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Complete, uncomplete, move, edit or delete many items at once
+// @route   POST /api/v1/spaces/:spaceId/items/batch
+// @access  Private
+const batchItems = async (req, res, next) => {
+    try {
+        const { action, categoryId } = req.body;
+        const itemIds = [...new Set(req.body.itemIds)];
+
+        // Category must belong to the destination space
+        if (action === 'move' && categoryId && !(await Category.exists({ categoryId, spaceId: req.targetSpace.spaceId }))) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Category not found'
+                }
+            });
+        }
+
+        // All-or-nothing: every item is checked before anything is written, and
+        // the writes share one transaction
+        const outcome = await withTransaction(async () => {
+            const items = await Item.find({ itemId: { $in: itemIds }, spaceId: req.params.spaceId });
+            const itemsById = new Map(items.map(item => [item.itemId, item]));
+            const failures = [];
+
+            // Prerequisites completed in the same batch don't block
+            const openPrerequisiteIds = action === 'complete' && !req.body.force
+                ? await findOpenPrerequisiteIds(
+                    items.filter(item => !item.isCompleted),
+                    await Space.findIdsAccessibleBy(req.user.userId)
+                )
+                : new Set();
+            itemIds.forEach(itemId => openPrerequisiteIds.delete(itemId));
+
+            for (const itemId of itemIds) {
+                const item = itemsById.get(itemId);
+                if (!item) {
+                    failures.push({ id: itemId, status: 'failed', reason: 'Item not found' });
+                    continue;
+                }
+
+                if (action === 'delete') {
+                    continue;
+                }
+
+                const blockedBy = item.isCompleted
+                    ? []
+                    : item.prerequisiteIds.filter(prerequisiteId => openPrerequisiteIds.has(prerequisiteId));
+                if (blockedBy.length > 0) {
+                    failures.push({ id: itemId, status: 'failed', reason: `Open prerequisites: ${blockedBy.join(', ')}` });
+                    continue;
+                }
+
+                applyBatchAction(item, action, req.body);
+                try {
+                    await item.validate();
+                } catch (error) {
+                    failures.push({ id: itemId, status: 'failed', reason: error.message });
+                }
+            }
+
+            if (failures.length > 0) {
+                return { failures };
+            }
+
+            const results = [];
+            for (const itemId of itemIds) {
+                const item = itemsById.get(itemId);
+
+                if (action === 'delete') {
+                    await deleteItemRecord(item, req.user.userId);
+                    results.push({ id: itemId, status: 'deleted' });
+                } else if (action === 'move' && (item.isModified() || item.spaceId !== req.targetSpace.spaceId)) {
+                    // Moved items are appended to the destination in the order given
+                    await moveItemTo(item, req.targetSpace, { categoryId: item.categoryId });
+                    results.push({ id: itemId, status: 'updated', item: { ...formatItem(item), spaceId: item.spaceId } });
+                } else if (item.isModified()) {
+                    await item.save();
+                    results.push({ id: itemId, status: 'updated', item: formatItem(item) });
+                } else {
+                    results.push({ id: itemId, status: 'unchanged', item: formatItem(item) });
+                }
+            }
+
+            return { results };
+        });
+
+        if (outcome.failures) {
+            const failed = new Set(outcome.failures.map(failure => failure.id));
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'BATCH_FAILED',
+                    message: 'No items were changed because some of them could not be processed',
+                    details: [
+                        ...outcome.failures,
+                        ...itemIds
+                            .filter(itemId => !failed.has(itemId))
+                            .map(itemId => ({ id: itemId, status: 'skipped' }))
+                    ]
+                }
+            });
+        }
+
         res.status(200).json({
             success: true,
-            message: 'Item deleted successfully'
+            data: {
+                action,
+                changed: outcome.results.filter(result => result.status !== 'unchanged').length,
+                results: outcome.results
+            }
         });
     } catch (error) {
         next(error);
@@ -324,10 +871,16 @@ const deleteItem = async (req, res, next) => {
 module.exports = {
     getAllItems,
     getItem,
+    getAvailableItems,
+    getItemHistory,
     createItem,
     updateItem,
     toggleItemCompletion,
+    updateCompletionDetails,
     moveItem,
+    copyItem,
     reorderItems,
-    deleteItem
+    deleteItem,
+    batchItems,
+    ITEM_SORTS
 };
@@ -0,0 +1,58 @@
+const Space = require('../models/Space');
+const Item = require('../models/Item');
+const { formatItem } = require('../utils/formatters');
+const { distanceInMeters } = require('../utils/geo');
+
+// @desc    Items on any of the user's lists close to a point, nearest first
+// @route   GET /api/v1/nearby
+// @access  Private
+const getNearby = async (req, res, next) => {
+    try {
+        const { lat, lng, radius = 5000, includeCompleted, limit = 50 } = req.query;
+        const point = { lat: parseFloat(lat), lng: parseFloat(lng) };
+
+        const spaceIds = await Space.findIdsAccessibleBy(req.user.userId);
+        const spaces = await Space.find({ spaceId: { $in: spaceIds } }).select('spaceId name');
+        const spaceNames = new Map(spaces.map(space => [space.spaceId, space.name]));
+
+        const filter = {
+            spaceId: { $in: spaceIds },
+            location: {
+                $nearSphere: {
+                    $geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+                    $maxDistance: parseInt(radius)
+                }
+            }
+        };
+
+        if (includeCompleted !== 'true') {
+            filter.isCompleted = false;
+        }
+
+        // $nearSphere already returns the closest items first
+        const items = await Item.find(filter).limit(parseInt(limit));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                center: point,
+                radius: parseInt(radius),
+                items: items.map(item => ({
+                    ...formatItem(item),
+                    spaceId: item.spaceId,
+                    spaceName: spaceNames.get(item.spaceId),
+                    distance: distanceInMeters(point, {
+                        lat: item.location.coordinates[1],
+                        lng: item.location.coordinates[0]
+                    })
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getNearby
+};
@@ -0,0 +1,45 @@
+const Space = require('../models/Space');
+const { buildSpaceCategories } = require('../utils/spaceTree');
+const { formatPublicItem } = require('../utils/formatters');
+
+// @desc    Get a published space (read-only)
+// @route   GET /api/v1/public/spaces/:shareToken
+// @access  Public
+const getSharedSpace = async (req, res, next) => {
+    try {
+        const space = await Space.findOne({ shareToken: req.params.shareToken });
+
+        if (!space) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Shared space not found'
+                }
+            });
+        }
+
+        // Hidden categories stay private; only display fields are exposed
+        const categories = await buildSpaceCategories(space.spaceId, {
+            includeHidden: false,
+            formatItem: formatPublicItem
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                name: space.name,
+                icon: space.icon,
+                sharedAt: space.sharedAt,
+                updatedAt: space.updatedAt,
+                categories: categories.map(({ isHidden, ...category }) => category)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getSharedSpace
+};
@@ -0,0 +1,229 @@
+const Revision = require('../models/Revision');
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const { formatRevision } = require('../utils/formatters');
+const {
+    revertToRevision,
+    findLastAction,
+    hasLaterChanges,
+    undoAction
+} = require('../utils/revisions');
+
+const RECORD_MODELS = {
+    space: Space,
+    category: Category,
+    item: Item
+};
+
+// Newest first; `before` pages back from a revision id
+const listRevisions = async (filter, { limit = 50, before }) => {
+    const revisions = await Revision.find(before ? { ...filter, revisionId: { $lt: before } } : filter)
+        .sort({ revisionId: -1 })
+        .limit(parseInt(limit));
+
+    return revisions.map(formatRevision);
+};
+
+// History of one record of the space, including trashed ones
+const getRecordRevisions = async (req, res, type) => {
+    const idField = `${type}Id`;
+    const exists = await RECORD_MODELS[type].exists({
+        [idField]: req.params[idField],
+        spaceId: req.params.spaceId
+    }).setOptions({ withDeleted: true });
+
+    if (!exists) {
+        return res.status(404).json({
+            success: false,
+            error: {
+                code: 'NOT_FOUND',
+                message: `${type === 'item' ? 'Item' : 'Category'} not found`
+            }
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: await listRevisions({ entityType: type, entityId: req.params[idField] }, req.query)
+    });
+};
+
+// @desc    Get recent changes across the user's spaces
+// @route   GET /api/v1/revisions
+// @access  Private
+const getRecentRevisions = async (req, res, next) => {
+    try {
+        const spaceIds = await Space.findIdsAccessibleBy(req.user.userId);
+        const filter = { spaceId: { $in: spaceIds } };
+
+        if (req.query.entityType) {
+            filter.entityType = req.query.entityType;
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await listRevisions(filter, req.query)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the change history of a space and everything in it
+// @route   GET /api/v1/spaces/:spaceId/revisions
+// @access  Private
+const getSpaceRevisions = async (req, res, next) => {
+    try {
+        const filter = { spaceId: req.params.spaceId };
+
+        if (req.query.entityType) {
+            filter.entityType = req.query.entityType;
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await listRevisions(filter, req.query)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the change history of a category
+// @route   GET /api/v1/spaces/:spaceId/categories/:categoryId/revisions
+// @access  Private
+const getCategoryRevisions = async (req, res, next) => {
+    try {
+        await getRecordRevisions(req, res, 'category');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the change history of an item
+// @route   GET /api/v1/spaces/:spaceId/items/:itemId/revisions
+// @access  Private
+const getItemRevisions = async (req, res, next) => {
+    try {
+        await getRecordRevisions(req, res, 'item');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Revert a record of the space to how it was after a revision
+// @route   POST /api/v1/spaces/:spaceId/revisions/:revisionId/revert
+// @access  Private
+const revertRevision = async (req, res, next) => {
+    try {
+        const revision = await Revision.findOne({ revisionId: req.params.revisionId, spaceId: req.params.spaceId });
+        const doc = revision
+            ? await RECORD_MODELS[revision.entityType].findOne({
+                [`${revision.entityType}Id`]: revision.entityId,
+                spaceId: req.params.spaceId
+            }, null, { withDeleted: true })
+            : null;
+
+        if (!doc) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Revision not found'
+                }
+            });
+        }
+
+        if (doc.isTrashed()) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'IN_TRASH',
+                    message: 'Restore the record from the trash first'
+                }
+            });
+        }
+
+        await revertToRevision(doc, revision);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entityType: revision.entityType,
+                entityId: revision.entityId,
+                revertedTo: revision.revisionId
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Undo the user's last action
+// @route   POST /api/v1/revisions/undo
+// @access  Private
+const undoLastAction = async (req, res, next) => {
+    try {
+        const revisions = await findLastAction(req.user.userId);
+
+        if (revisions.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOTHING_TO_UNDO',
+                    message: 'There is no action to undo'
+                }
+            });
+        }
+
+        // Access may have been revoked since; spaces deleted by the action are
+        // still checked, from the trash
+        const spaceIds = [...new Set(revisions.map(revision => revision.spaceId))];
+        const spaces = await Space.find({ spaceId: { $in: spaceIds } }, null, { withDeleted: true });
+        const canEdit = spaces.length === spaceIds.length &&
+            spaces.every(space => Space.roleSatisfies(space.getRole(req.user.userId), 'editor'));
+
+        if (!canEdit) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: 'You no longer have editor access to the spaces this action changed'
+                }
+            });
+        }
+
+        if (await hasLaterChanges(revisions)) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'CHANGED_SINCE',
+                    message: 'Records changed by this action have been changed again since; revert them individually'
+                }
+            });
+        }
+
+        const undone = await undoAction(revisions);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                actionId: revisions[0].actionId,
+                changes: revisions.map(formatRevision),
+                ...undone
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getRecentRevisions,
+    getSpaceRevisions,
+    getCategoryRevisions,
+    getItemRevisions,
+    revertRevision,
+    undoLastAction
+};
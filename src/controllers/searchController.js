@@ -0,0 +1,123 @@
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const {
+    tokenize,
+    buildMatchFilter,
+    scoreDocument,
+    buildHighlights
+} = require('../utils/search');
+
+const ITEM_FIELDS = ['text', 'description', 'tags'];
+const NAME_FIELDS = ['name'];
+
+// @desc    Search items, categories and spaces
+// @route   GET /api/v1/search
+// @access  Private
+const search = async (req, res, next) => {
+    try {
+        const { q, spaceId, categoryId, isCompleted, limit = 20, offset = 0 } = req.query;
+        const terms = tokenize(q);
+        const phrase = terms.join(' ');
+
+        let spaceIds = await Space.findIdsAccessibleBy(req.user.userId);
+        if (spaceId) {
+            spaceIds = spaceIds.filter(id => id === spaceId);
+        }
+
+        // Item-only filters narrow the results to items
+        const itemsOnly = categoryId !== undefined || isCompleted !== undefined;
+        const types = req.query.types ? req.query.types.split(',') : ['item', 'category', 'space'];
+
+        const itemFilter = { spaceId: { $in: spaceIds }, ...buildMatchFilter(ITEM_FIELDS, terms) };
+        if (categoryId) {
+            itemFilter.categoryId = categoryId;
+        }
+        if (isCompleted !== undefined) {
+            itemFilter.isCompleted = isCompleted === 'true';
+        }
+
+        const [spaces, categories, items] = await Promise.all([
+            Space.find({ spaceId: { $in: spaceIds } }),
+            Category.find({ spaceId: { $in: spaceIds } }),
+            types.includes('item') ? Item.find(itemFilter) : []
+        ]);
+
+        const spacesById = new Map(spaces.map(space => [space.spaceId, space]));
+        const categoriesById = new Map(categories.map(category => [category.categoryId, category]));
+
+        const hits = [];
+
+        items.forEach(item => {
+            const score = scoreDocument(item, ITEM_FIELDS, terms, phrase);
+            if (score > 0) {
+                const category = categoriesById.get(item.categoryId);
+                hits.push({
+                    type: 'item',
+                    id: item.itemId,
+                    title: item.text,
+                    spaceId: item.spaceId,
+                    spaceName: spacesById.get(item.spaceId)?.name || null,
+                    categoryId: item.categoryId,
+                    categoryName: category ? category.name : null,
+                    isCompleted: item.isCompleted,
+                    score,
+                    highlights: buildHighlights(item, ITEM_FIELDS, terms)
+                });
+            }
+        });
+
+        if (!itemsOnly && types.includes('category')) {
+            categories.forEach(category => {
+                const score = scoreDocument(category, NAME_FIELDS, terms, phrase);
+                if (score > 0) {
+                    hits.push({
+                        type: 'category',
+                        id: category.categoryId,
+                        title: category.name,
+                        icon: category.icon,
+                        spaceId: category.spaceId,
+                        spaceName: spacesById.get(category.spaceId)?.name || null,
+                        score,
+                        highlights: buildHighlights(category, NAME_FIELDS, terms)
+                    });
+                }
+            });
+        }
+
+        if (!itemsOnly && types.includes('space')) {
+            spaces.forEach(space => {
+                const score = scoreDocument(space, NAME_FIELDS, terms, phrase);
+                if (score > 0) {
+                    hits.push({
+                        type: 'space',
+                        id: space.spaceId,
+                        title: space.name,
+                        icon: space.icon,
+                        score,
+                        highlights: buildHighlights(space, NAME_FIELDS, terms)
+                    });
+                }
+            });
+        }
+
+        hits.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                query: q,
+                results: hits.slice(parseInt(offset), parseInt(offset) + parseInt(limit)),
+                total: hits.length,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    search
+};
@@ -1,14 +1,27 @@
+const crypto = require('crypto');
 const Space = require('../models/Space');
+const User = require('../models/User');
 const Category = require('../models/Category');
 const Item = require('../models/Item');
-
-// @desc    Get all spaces
+const UserPreferences = require('../models/UserPreferences');
+const SpaceTemplate = require('../models/SpaceTemplate');
+const { deleteSpaceCascade, recordLostAccess } = require('../utils/deletion');
+const { sendMail } = require('../utils/mailer');
+const { buildSpaceCategories } = require('../utils/spaceTree');
+const { formatItem } = require('../utils/formatters');
+const { withTransaction } = require('../utils/transaction');
+const { findTemplate, formatTemplate, applyTemplate, buildTemplateCategories } = require('../utils/templates');
+const { DEFAULT_TEMPLATE_ID } = require('../config/templates');
+const { cloneSpace } = require('../utils/transfer');
+const { toFeatureCollection } = require('../utils/geo');
+
+// @desc    Get all spaces (owned and shared with the user)
 // @route   GET /api/v1/spaces
 // @access  Private
 const getAllSpaces = async (req, res, next) => {
     try {
         const { includeHidden } = req.query;
-        const filter = { userId: req.user.userId };
+        const filter = Space.accessibleBy(req.user.userId);
 
         if (includeHidden !== 'true') {
             filter.isHidden = false;
@@ -27,6 +40,8 @@ const getAllSpaces = async (req, res, next) => {
                     name: space.name,
                     icon: space.icon,
                     isHidden: space.isHidden,
+                    role: space.getRole(req.user.userId),
+                    isShared: space.members.length > 0,
                     createdAt: space.createdAt,
                     updatedAt: space.updatedAt,
                     categoriesCount,
@@ -49,44 +64,11 @@ const getAllSpaces = async (req, res, next) => {
 // @access  Private
 const getSpace = async (req, res, next) => {
     try {
-        const space = await Space.findOne({
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
-        });
-
-        if (!space) {
-            return res.status(404).json({
-                success: false,
-                error: {
-                    code: 'NOT_FOUND',
-                    message: 'Space not found'
-                }
-            });
-        }
-
-        const categories = await Category.find({ spaceId: space.spaceId }).sort({ order: 1 });
+        const space = req.space;
 
-        const categoriesWithItems = await Promise.all(
-            categories.map(async (category) => {
-                const items = await Item.find({ categoryId: category.categoryId }).sort({ order: 1 });
-                return {
-                    id: category.categoryId,
-                    name: category.name,
-                    icon: category.icon,
-                    isHidden: category.isHidden,
-                    items: items.map(item => ({
-                        id: item.itemId,
-                        text: item.text,
-                        isCompleted: item.isCompleted,
-                        categoryId: item.categoryId,
-                        imageUrl: item.imageUrl,
-                        description: item.description,
-                        createdAt: item.createdAt,
-                        updatedAt: item.updatedAt
-                    }))
-                };
-            })
-        );
+        const categoriesWithItems = await buildSpaceCategories(space.spaceId, {
+            tree: req.query.tree === 'true'
+        });
 
         res.status(200).json({
             success: true,
@@ -95,6 +77,9 @@ const getSpace = async (req, res, next) => {
                 name: space.name,
                 icon: space.icon,
                 isHidden: space.isHidden,
+                role: req.spaceRole,
+                isShared: space.members.length > 0,
+                isPublic: Boolean(space.shareToken),
                 createdAt: space.createdAt,
                 updatedAt: space.updatedAt,
                 categories: categoriesWithItems
@@ -105,46 +90,79 @@ const getSpace = async (req, res, next) => {
     }
 };
 
+// @desc    Export the space's located items as GeoJSON for map clients
+// @route   GET /api/v1/spaces/:spaceId/geojson
+// @access  Private
+const exportSpaceGeoJSON = async (req, res, next) => {
+    try {
+        const filter = { spaceId: req.space.spaceId, location: { $ne: null } };
+
+        if (req.query.categoryId) {
+            filter.categoryId = req.query.categoryId;
+        }
+        if (req.query.includeCompleted === 'false') {
+            filter.isCompleted = false;
+        }
+
+        const items = await Item.find(filter).sort({ order: 1 });
+        const categories = await Category.find({ spaceId: req.space.spaceId }).select('categoryId name');
+
+        res.type('application/geo+json').status(200).json({
+            ...toFeatureCollection(items, new Map(categories.map(category => [category.categoryId, category.name]))),
+            properties: {
+                spaceId: req.space.spaceId,
+                name: req.space.name
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Create new space
 // @route   POST /api/v1/spaces
 // @access  Private
 const createSpace = async (req, res, next) => {
     try {
-        const { name, icon } = req.body;
+        const { name, icon, templateId } = req.body;
+
+        // An explicit template must exist; the user's default falls back to the
+        // built-in one if it was deleted since
+        let template;
+        if (templateId) {
+            template = await findTemplate(templateId, req.user.userId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'NOT_FOUND',
+                        message: 'Template not found'
+                    }
+                });
+            }
+        } else {
+            const preferences = await UserPreferences.findOne({ userId: req.user.userId });
+            template = (preferences?.defaultTemplateId && await findTemplate(preferences.defaultTemplateId, req.user.userId)) ||
+                await findTemplate(DEFAULT_TEMPLATE_ID, req.user.userId);
+        }
 
-        // Get the highest order number
-        const lastSpace = await Space.findOne({ userId: req.user.userId }).sort({ order: -1 });
-        const order = lastSpace ? lastSpace.order + 1 : 0;
+        const { space, categories } = await withTransaction(async () => {
+            // Get the highest order number
+            const lastSpace = await Space.findOne({ userId: req.user.userId }).sort({ order: -1 });
+            const order = lastSpace ? lastSpace.order + 1 : 0;
 
-        const space = await Space.create({
-            userId: req.user.userId,
-            name,
-            icon: icon || '📁',
-            order
-        });
+            const space = await Space.create({
+                userId: req.user.userId,
+                name,
+                icon: icon || template.icon || '📁',
+                order
+            });
 
-        // Create default categories for the new space
-        const defaultCategories = [
-            { name: 'Places', icon: '🌍', id: 'default_places' },
-            { name: 'Books', icon: '📚', id: 'default_books' },
-            { name: 'Movies', icon: '🎬', id: 'default_movies' },
-            { name: 'Experiences', icon: '✨', id: 'default_experiences' },
-            { name: 'Goals', icon: '🎯', id: 'default_goals' },
-            { name: 'Other', icon: '📌', id: 'default_other' }
-        ];
-
-        const categories = await Promise.all(
-            defaultCategories.map(async (cat, index) => {
-                return await Category.create({
-                    categoryId: cat.id,
-                    spaceId: space.spaceId,
-                    userId: req.user.userId,
-                    name: cat.name,
-                    icon: cat.icon,
-                    order: index
-                });
-            })
-        );
+            // Create the template's categories (and starter items) for the new space
+            const categories = await applyTemplate(space, template);
+
+            return { space, categories };
+        });
 
         res.status(201).json({
             success: true,
@@ -153,14 +171,16 @@ const createSpace = async (req, res, next) => {
                 name: space.name,
                 icon: space.icon,
                 isHidden: space.isHidden,
+                templateId: template.templateId,
                 createdAt: space.createdAt,
                 updatedAt: space.updatedAt,
-                categories: categories.map(cat => ({
-                    id: cat.categoryId,
-                    name: cat.name,
-                    icon: cat.icon,
-                    isHidden: cat.isHidden,
-                    items: []
+                categories: categories.map(({ category, items }) => ({
+                    id: category.categoryId,
+                    parentId: category.parentId,
+                    name: category.name,
+                    icon: category.icon,
+                    isHidden: category.isHidden,
+                    items: items.map(formatItem)
                 }))
             }
         });
@@ -169,6 +189,64 @@ const createSpace = async (req, res, next) => {
     }
 };
 
+// @desc    Duplicate a space with its categories and items
+// @route   POST /api/v1/spaces/:spaceId/duplicate
+// @access  Private
+const duplicateSpace = async (req, res, next) => {
+    try {
+        const { name, resetCompletion, skipCompleted } = req.body;
+
+        // The copy always belongs to the user making it
+        const { space, categoriesCopied, itemsCopied } = await cloneSpace(req.space, req.user.userId, {
+            name,
+            resetCompletion,
+            skipCompleted
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                id: space.spaceId,
+                name: space.name,
+                icon: space.icon,
+                isHidden: space.isHidden,
+                sourceSpaceId: req.space.spaceId,
+                categoriesCopied,
+                itemsCopied,
+                categories: await buildSpaceCategories(space.spaceId),
+                createdAt: space.createdAt,
+                updatedAt: space.updatedAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Save a space's categories (and optionally items) as a template
+// @route   POST /api/v1/spaces/:spaceId/template
+// @access  Private
+const saveSpaceAsTemplate = async (req, res, next) => {
+    try {
+        const { name, description, includeItems = false } = req.body;
+
+        const template = await SpaceTemplate.create({
+            userId: req.user.userId,
+            name: name || req.space.name,
+            icon: req.space.icon,
+            description,
+            categories: await buildTemplateCategories(req.space.spaceId, { includeItems })
+        });
+
+        res.status(201).json({
+            success: true,
+            data: formatTemplate(template)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Update space
 // @route   PUT /api/v1/spaces/:spaceId
 // @access  Private
@@ -176,9 +254,15 @@ const updateSpace = async (req, res, next) => {
     try {
         const { name, icon } = req.body;
 
+        // Keep the current icon unless a new one is sent
+        const update = { name, updatedAt: Date.now() };
+        if (icon !== undefined) {
+            update.icon = icon;
+        }
+
         const space = await Space.findOneAndUpdate(
-            { spaceId: req.params.spaceId, userId: req.user.userId },
-            { name, icon, updatedAt: Date.now() },
+            { spaceId: req.params.spaceId },
+            update,
             { new: true }
         );
 
@@ -215,7 +299,7 @@ const toggleSpaceVisibility = async (req, res, next) => {
         const { isHidden } = req.body;
 
         const space = await Space.findOneAndUpdate(
-            { spaceId: req.params.spaceId, userId: req.user.userId },
+            { spaceId: req.params.spaceId },
             { isHidden, updatedAt: Date.now() },
             { new: true }
         );
@@ -268,33 +352,246 @@ const reorderSpaces = async (req, res, next) => {
     }
 };
 
-// @desc    Delete space
+// @desc    Move space to trash
 // @route   DELETE /api/v1/spaces/:spaceId
 // @access  Private
 const deleteSpace = async (req, res, next) => {
     try {
-        const space = await Space.findOneAndDelete({
-            spaceId: req.params.spaceId,
-            userId: req.user.userId
+        // Categories and items go to the trash along with the space
+        await deleteSpaceCascade(req.space, req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Space moved to trash'
         });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        if (!space) {
+// Public URL a share token resolves to
+const buildShareUrl = (shareToken) => {
+    return `${process.env.APP_URL || 'http://localhost:3000'}/shared/${shareToken}`;
+};
+
+// @desc    Create (or replace) the public share link of a space
+// @route   POST /api/v1/spaces/:spaceId/share
+// @access  Private (owner)
+const createShareLink = async (req, res, next) => {
+    try {
+        const space = req.space;
+
+        // Replacing the token invalidates any previously published link
+        space.shareToken = crypto.randomBytes(24).toString('base64url');
+        space.sharedAt = Date.now();
+        await space.save();
+
+        res.status(201).json({
+            success: true,
+            data: {
+                id: space.spaceId,
+                shareToken: space.shareToken,
+                shareUrl: buildShareUrl(space.shareToken),
+                sharedAt: space.sharedAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Revoke the public share link of a space
+// @route   DELETE /api/v1/spaces/:spaceId/share
+// @access  Private (owner)
+const revokeShareLink = async (req, res, next) => {
+    try {
+        const space = req.space;
+
+        space.shareToken = undefined;
+        space.sharedAt = undefined;
+        await space.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Share link revoked successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Shape a member entry for responses
+const formatMember = (userId, role, user, extra = {}) => ({
+    userId,
+    name: user ? user.name : null,
+    email: user ? user.email : null,
+    role,
+    ...extra
+});
+
+// @desc    Get space members
+// @route   GET /api/v1/spaces/:spaceId/members
+// @access  Private (viewer)
+const getMembers = async (req, res, next) => {
+    try {
+        const space = req.space;
+        const userIds = [space.userId, ...space.members.map(m => m.userId)];
+        const users = await User.find({ userId: { $in: userIds } });
+        const usersById = new Map(users.map(user => [user.userId, user]));
+
+        res.status(200).json({
+            success: true,
+            data: [
+                formatMember(space.userId, 'owner', usersById.get(space.userId), { isCreator: true }),
+                ...space.members.map(member => formatMember(
+                    member.userId,
+                    member.role,
+                    usersById.get(member.userId),
+                    { isCreator: false, addedAt: member.addedAt }
+                ))
+            ]
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Invite a user to a space
+// @route   POST /api/v1/spaces/:spaceId/members
+// @access  Private (owner)
+const addMember = async (req, res, next) => {
+    try {
+        const { email, role } = req.body;
+        const space = req.space;
+
+        const user = await User.findOne({ email });
+
+        if (!user) {
             return res.status(404).json({
                 success: false,
                 error: {
                     code: 'NOT_FOUND',
-                    message: 'Space not found'
+                    message: 'No user found with this email'
+                }
+            });
+        }
+
+        if (space.getRole(user.userId)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'ALREADY_MEMBER',
+                    message: 'User already has access to this space'
                 }
             });
         }
 
-        // Delete all categories and items in this space
-        await Category.deleteMany({ spaceId: req.params.spaceId });
-        await Item.deleteMany({ spaceId: req.params.spaceId });
+        space.members.push({
+            userId: user.userId,
+            role,
+            addedBy: req.user.userId
+        });
+        await space.save();
+
+        // Let the invitee know; a mail failure should not undo the invite
+        try {
+            await sendMail({
+                to: user.email,
+                subject: `${req.user.name} shared "${space.name}" with you`,
+                text: `Hi ${user.name},\n\n${req.user.name} added you to the space "${space.name}" as ${role}.`
+            });
+        } catch (mailError) {
+            console.error('Invite email failed:', mailError.message);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: formatMember(user.userId, role, user, { isCreator: false, addedAt: new Date() })
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Change a member's role
+// @route   PATCH /api/v1/spaces/:spaceId/members/:memberId
+// @access  Private (owner)
+const updateMemberRole = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+        const space = req.space;
+        const member = space.members.find(m => m.userId === req.params.memberId);
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Member not found'
+                }
+            });
+        }
+
+        member.role = role;
+        await space.save();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                userId: member.userId,
+                role: member.role
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a member (owners can remove anyone, members can leave)
+// @route   DELETE /api/v1/spaces/:spaceId/members/:memberId
+// @access  Private (viewer)
+const removeMember = async (req, res, next) => {
+    try {
+        const space = req.space;
+        const { memberId } = req.params;
+
+        if (memberId !== req.user.userId && req.spaceRole !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: 'Only owners can remove other members'
+                }
+            });
+        }
+
+        const index = space.members.findIndex(m => m.userId === memberId);
+
+        if (index === -1) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Member not found'
+                }
+            });
+        }
+
+        // The member's devices drop the space and everything in it on their next sync
+        await withTransaction(async () => {
+            space.members.splice(index, 1);
+            await space.save();
+
+            await recordLostAccess([memberId], {
+                spaces: [space],
+                categories: await Category.find({ spaceId: space.spaceId }),
+                items: await Item.find({ spaceId: space.spaceId })
+            });
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Space deleted successfully'
+            message: 'Member removed successfully'
         });
     } catch (error) {
         next(error);
@@ -304,9 +601,18 @@ const deleteSpace = async (req, res, next) => {
 module.exports = {
     getAllSpaces,
     getSpace,
+    exportSpaceGeoJSON,
     createSpace,
+    duplicateSpace,
+    saveSpaceAsTemplate,
     updateSpace,
     toggleSpaceVisibility,
     reorderSpaces,
-    deleteSpace
+    deleteSpace,
+    getMembers,
+    addMember,
+    updateMemberRole,
+    removeMember,
+    createShareLink,
+    revokeShareLink
 };
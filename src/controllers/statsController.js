@@ -1,6 +1,10 @@
 const Space = require('../models/Space');
 const Category = require('../models/Category');
 const Item = require('../models/Item');
+const { itemProgress } = require('../utils/formatters');
+const { summarizeBudget } = require('../utils/budget');
+
+const sumProgress = (items) => items.reduce((sum, item) => sum + itemProgress(item), 0);
 
 // @desc    Get user statistics
 // @route   GET /api/v1/stats
@@ -20,7 +24,15 @@ const getStats = async (req, res, next) => {
         const totalItems = await Item.countDocuments(filter);
         const completedItems = await Item.countDocuments({ ...filter, isCompleted: true });
 
-        const overallProgress = totalItems > 0 ? completedItems / totalItems : 0;
+        // Unfinished items count for the share of their checklist steps that are done
+        const progressItems = await Item.find(filter)
+            .select('spaceId isCompleted steps estimatedCost actualCost currency estimatedHours');
+        const overallProgress = totalItems > 0 ? sumProgress(progressItems) / totalItems : 0;
+        const totalSteps = progressItems.reduce((sum, item) => sum + item.steps.length, 0);
+        const completedSteps = progressItems.reduce(
+            (sum, item) => sum + item.steps.filter(step => step.isCompleted).length,
+            0
+        );
 
         // Get completion by category
         const categories = await Category.find(filter);
@@ -29,33 +41,56 @@ const getStats = async (req, res, next) => {
                 const items = await Item.find({ categoryId: category.categoryId });
                 const total = items.length;
                 const completed = items.filter(item => item.isCompleted).length;
-                const progress = total > 0 ? completed / total : 0;
+                const progress = total > 0 ? sumProgress(items) / total : 0;
 
                 return {
                     categoryId: category.categoryId,
                     categoryName: category.name,
                     total,
                     completed,
-                    progress
+                    progress,
+                    budget: summarizeBudget(items)
                 };
             })
         );
 
-        // Get recent activity (last 10 completed items)
+        // Planned vs. spent money and time, overall and per space
+        const spaces = await Space.find(spaceId ? { userId: req.user.userId, spaceId } : { userId: req.user.userId });
+        const budgetBySpace = spaces.map(space => ({
+            spaceId: space.spaceId,
+            spaceName: space.name,
+            ...summarizeBudget(progressItems.filter(item => item.spaceId === space.spaceId))
+        }));
+
+        // Get recent activity (last 10 completed items); items completed before
+        // completedAt existed fall back to their last update
         const recentItems = await Item.find({
             ...filter,
             isCompleted: true
         })
-            .sort({ updatedAt: -1 })
+            .sort({ completedAt: -1, updatedAt: -1 })
             .limit(10);
 
         const recentActivity = recentItems.map(item => ({
             type: 'item_completed',
             itemId: item.itemId,
             itemText: item.text,
-            timestamp: item.updatedAt
+            rating: item.rating,
+            completionNote: item.completionNote,
+            photosCount: item.memoryPhotos.length,
+            timestamp: item.completedAt || item.updatedAt
         }));
 
+        // Average rating across rated completed items
+        const ratedItems = await Item.find({
+            ...filter,
+            isCompleted: true,
+            rating: { $ne: null }
+        }).select('rating');
+        const averageRating = ratedItems.length > 0
+            ? ratedItems.reduce((sum, item) => sum + item.rating, 0) / ratedItems.length
+            : null;
+
         res.status(200).json({
             success: true,
             data: {
@@ -64,6 +99,12 @@ const getStats = async (req, res, next) => {
                 totalItems,
                 completedItems,
                 overallProgress,
+                totalSteps,
+                completedSteps,
+                averageRating,
+                ratedItems: ratedItems.length,
+                budget: summarizeBudget(progressItems),
+                budgetBySpace,
                 completionByCategory,
                 recentActivity
             }
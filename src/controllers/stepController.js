@@ -0,0 +1,187 @@
+const Space = require('../models/Space');
+const Item = require('../models/Item');
+const { formatItem } = require('../utils/formatters');
+const { getOpenPrerequisites } = require('../utils/dependencies');
+
+const findItem = (req) => Item.findOne({
+    itemId: req.params.itemId,
+    spaceId: req.params.spaceId
+});
+
+const notFound = (res, message) => res.status(404).json({
+    success: false,
+    error: {
+        code: 'NOT_FOUND',
+        message
+    }
+});
+
+// @desc    Add a checklist step to an item
+// @route   POST /api/v1/spaces/:spaceId/items/:itemId/steps
+// @access  Private
+const addStep = async (req, res, next) => {
+    try {
+        const item = await findItem(req);
+
+        if (!item) {
+            return notFound(res, 'Item not found');
+        }
+
+        const { text, position } = req.body;
+        const index = position === undefined ? item.steps.length : Math.min(position, item.steps.length);
+        item.steps.splice(index, 0, { text });
+        item.updatedAt = Date.now();
+        await item.save();
+
+        res.status(201).json({
+            success: true,
+            data: formatItem(item)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Rename a checklist step
+// @route   PUT /api/v1/spaces/:spaceId/items/:itemId/steps/:stepId
+// @access  Private
+const updateStep = async (req, res, next) => {
+    try {
+        const item = await findItem(req);
+
+        if (!item) {
+            return notFound(res, 'Item not found');
+        }
+
+        const step = item.steps.find(entry => entry.stepId === req.params.stepId);
+        if (!step) {
+            return notFound(res, 'Step not found');
+        }
+
+        step.text = req.body.text;
+        item.updatedAt = Date.now();
+        await item.save();
+
+        res.status(200).json({
+            success: true,
+            data: formatItem(item)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Toggle a checklist step; completes the item when it was the last
+//          open step and the item has autoCompleteSteps set, unless a
+//          prerequisite is still open
+// @route   PATCH /api/v1/spaces/:spaceId/items/:itemId/steps/:stepId/toggle
+// @access  Private
+const toggleStep = async (req, res, next) => {
+    try {
+        const item = await findItem(req);
+
+        if (!item) {
+            return notFound(res, 'Item not found');
+        }
+
+        const step = item.steps.find(entry => entry.stepId === req.params.stepId);
+        if (!step) {
+            return notFound(res, 'Step not found');
+        }
+
+        step.isCompleted = !step.isCompleted;
+        step.completedAt = step.isCompleted ? new Date() : null;
+        item.updatedAt = Date.now();
+        await item.save();
+
+        // The item stays open; its open prerequisites come back as a warning
+        const openPrerequisites = item.$locals.autoCompleteHeld
+            ? await getOpenPrerequisites(item, await Space.findIdsAccessibleBy(req.user.userId))
+            : [];
+
+        res.status(200).json({
+            success: true,
+            data: formatItem(item),
+            ...(openPrerequisites.length > 0 ? { warnings: { openPrerequisites } } : {})
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Reorder the checklist steps of an item
+// @route   PATCH /api/v1/spaces/:spaceId/items/:itemId/steps/reorder
+// @access  Private
+const reorderSteps = async (req, res, next) => {
+    try {
+        const item = await findItem(req);
+
+        if (!item) {
+            return notFound(res, 'Item not found');
+        }
+
+        // The new order has to name every step exactly once
+        const { stepIds } = req.body;
+        const currentIds = item.steps.map(step => step.stepId);
+        if (stepIds.length !== currentIds.length ||
+            new Set(stepIds).size !== stepIds.length ||
+            !stepIds.every(stepId => currentIds.includes(stepId))) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_INPUT',
+                    message: 'stepIds must list every step of the item exactly once'
+                }
+            });
+        }
+
+        const steps = stepIds.map(stepId => item.steps.find(step => step.stepId === stepId).toObject());
+        item.steps = steps;
+        item.updatedAt = Date.now();
+        await item.save();
+
+        res.status(200).json({
+            success: true,
+            data: formatItem(item)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a checklist step
+// @route   DELETE /api/v1/spaces/:spaceId/items/:itemId/steps/:stepId
+// @access  Private
+const deleteStep = async (req, res, next) => {
+    try {
+        const item = await findItem(req);
+
+        if (!item) {
+            return notFound(res, 'Item not found');
+        }
+
+        const index = item.steps.findIndex(step => step.stepId === req.params.stepId);
+        if (index === -1) {
+            return notFound(res, 'Step not found');
+        }
+
+        item.steps.splice(index, 1);
+        item.updatedAt = Date.now();
+        await item.save();
+
+        res.status(200).json({
+            success: true,
+            data: formatItem(item)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    addStep,
+    updateStep,
+    toggleStep,
+    reorderSteps,
+    deleteStep
+};
@@ -2,49 +2,470 @@ const Space = require('../models/Space');
 const Category = require('../models/Category');
 const Item = require('../models/Item');
 const UserPreferences = require('../models/UserPreferences');
+const Tombstone = require('../models/Tombstone');
+const {
+    SYNC_ENTITIES,
+    parseTimestamp,
+    toSyncRecord,
+    fromSyncValues,
+    resolveChanges
+} = require('../utils/sync');
+const {
+    deleteSpaceCascade,
+    deleteCategoryCascade,
+    deleteItemRecord
+} = require('../utils/deletion');
+const { withTransaction } = require('../utils/transaction');
+const { moveCategoryTo } = require('../utils/transfer');
+const { validateParent } = require('../utils/categoryTree');
+const { validatePrerequisites, getOpenPrerequisites } = require('../utils/dependencies');
 
-// @desc    Full sync
+const SYNC_MODELS = {
+    spaces: Space,
+    categories: Category,
+    items: Item
+};
+
+const SYNC_DELETERS = {
+    spaces: deleteSpaceCascade,
+    categories: deleteCategoryCascade,
+    items: deleteItemRecord
+};
+
+// Roles and owners of every space the user owns or was invited to
+const loadSpaceAccess = async (userId) => {
+    const spaces = await Space.find(Space.accessibleBy(userId));
+
+    return {
+        roles: new Map(spaces.map(space => [space.spaceId, space.getRole(userId)])),
+        owners: new Map(spaces.map(space => [space.spaceId, space.userId]))
+    };
+};
+
+// Whether the user holds at least minRole in the space a record lives in
+// (for spaces, spaceId is the record's own id)
+const canModify = (doc, access, minRole = 'editor') => {
+    const role = access.roles.get(doc.spaceId);
+    return Boolean(role) && Space.roleSatisfies(role, minRole);
+};
+
+// Make sure the spaces/categories a synced record points at are writable.
+// current is the stored record when updating, null when creating.
+const checkReferences = async (entity, values, access, current = null) => {
+    if (entity === 'spaces') {
+        return null;
+    }
+
+    if (!values.spaceId) {
+        return 'spaceId is required';
+    }
+
+    if (!access.roles.has(values.spaceId)) {
+        return 'Space not found';
+    }
+
+    if (!canModify(values, access)) {
+        return 'Space is read-only for this user';
+    }
+
+    // For categories, categoryId is the record's own id (unset when creating)
+    if (entity === 'categories' && values.parentId) {
+        const problem = await validateParent(values.spaceId, values.categoryId || null, values.parentId);
+        if (problem) {
+            return problem.message;
+        }
+    }
+
+    if (entity === 'items' && values.categoryId) {
+        const category = await Category.findOne({
+            categoryId: values.categoryId,
+            spaceId: values.spaceId
+        });
+        if (!category) {
+            return 'Category not found';
+        }
+    }
+
+    // For items, itemId is the record's own id (unset when creating)
+    if (entity === 'items' && values.prerequisiteIds && values.prerequisiteIds.length > 0) {
+        const problem = await validatePrerequisites(
+            values.itemId || null,
+            access.owners.get(values.spaceId),
+            values.prerequisiteIds,
+            [...access.roles.keys()]
+        );
+        if (problem) {
+            return problem;
+        }
+    }
+
+    // Completing an item waits for its open prerequisites, as toggling does
+    if (entity === 'items' && values.isCompleted === true && !(current && current.isCompleted)) {
+        const openPrerequisites = await getOpenPrerequisites({
+            prerequisiteIds: values.prerequisiteIds || (current ? current.prerequisiteIds : [])
+        }, [...access.roles.keys()]);
+        if (openPrerequisites.length > 0) {
+            return `Open prerequisites: ${openPrerequisites.map(prerequisite => prerequisite.id).join(', ')}`;
+        }
+    }
+
+    return null;
+};
+
+// Apply the client's changes for one entity type, collecting conflicts,
+// rejected records and the ids that were accepted as sent
+const applyClientChanges = async (entity, records, context) => {
+    const { userId, since, strategy, access, result } = context;
+    const Model = SYNC_MODELS[entity];
+    const { type, idField, fields } = SYNC_ENTITIES[entity];
+
+    for (const clientRecord of records) {
+        if (!clientRecord || !clientRecord.id) {
+            result.rejected.push({ entity: type, id: null, reason: 'Record id is required' });
+            continue;
+        }
+
+        const { base, ...clientValues } = clientRecord;
+
+        try {
+            const serverDoc = await Model.findOne({ [idField]: clientRecord.id });
+
+            if (serverDoc && !canModify(serverDoc, access)) {
+                result.rejected.push({ entity: type, id: clientRecord.id, reason: 'Record is not writable by this user' });
+                continue;
+            }
+
+            if (!serverDoc) {
+                // The record may have been deleted on the server while the
+                // client was offline; only bring it back if the strategy says so
+                const tombstone = await Tombstone.findOne({ entityType: type, entityId: clientRecord.id });
+
+                // Deleted spaces can only be brought back by their creator
+                const tombstoneWritable = tombstone && (entity === 'spaces'
+                    ? tombstone.userId === userId
+                    : canModify(tombstone, access));
+
+                if (tombstone && !tombstoneWritable) {
+                    result.rejected.push({ entity: type, id: clientRecord.id, reason: 'Record is not writable by this user' });
+                    continue;
+                }
+
+                if (tombstone) {
+                    const clientUpdatedAt = parseTimestamp(clientRecord.updatedAt);
+                    const recreate = strategy === 'client-wins' ||
+                        (strategy === 'merge' && clientUpdatedAt !== null && clientUpdatedAt > tombstone.deletedAt);
+
+                    result.conflicts.push({
+                        entity: type,
+                        id: clientRecord.id,
+                        type: 'delete',
+                        fields: [],
+                        resolution: strategy,
+                        server: null,
+                        client: clientValues
+                    });
+
+                    if (!recreate) {
+                        continue;
+                    }
+                }
+
+                const values = fromSyncValues(fields.reduce((acc, field) => {
+                    if (clientRecord[field] !== undefined) {
+                        acc[field] = clientRecord[field];
+                    }
+                    return acc;
+                }, {}));
+
+                const referenceError = await checkReferences(entity, values, access);
+                if (referenceError) {
+                    result.rejected.push({ entity: type, id: clientRecord.id, reason: referenceError });
+                    continue;
+                }
+
+                // Categories and items belong to the owner of their space
+                const ownerId = entity === 'spaces' ? userId : access.owners.get(values.spaceId);
+
+                // A record still in the trash is brought back in place, since
+                // its id is taken
+                const trashed = await Model.findOne({ [idField]: clientRecord.id, deletedAt: { $ne: null } });
+                if (trashed) {
+                    trashed.set({ ...values, userId: ownerId, deletedAt: null, deletedBy: null, trashRootId: null });
+                    await trashed.save();
+                } else {
+                    await Model.create({ ...values, [idField]: clientRecord.id, userId: ownerId });
+                }
+
+                if (entity === 'spaces') {
+                    access.roles.set(clientRecord.id, 'owner');
+                    access.owners.set(clientRecord.id, userId);
+                }
+
+                if (tombstone) {
+                    await tombstone.deleteOne();
+                } else {
+                    result.accepted.add(`${type}:${clientRecord.id}`);
+                }
+                continue;
+            }
+
+            const { updates, conflictFields } = resolveChanges({
+                entity,
+                clientRecord,
+                serverDoc,
+                since,
+                strategy
+            });
+
+            const referenceError = await checkReferences(
+                entity,
+                {
+                    spaceId: serverDoc.spaceId,
+                    categoryId: serverDoc.categoryId,
+                    parentId: serverDoc.parentId,
+                    itemId: serverDoc.itemId,
+                    ...updates
+                },
+                access,
+                serverDoc
+            );
+            if (referenceError) {
+                result.rejected.push({ entity: type, id: clientRecord.id, reason: referenceError });
+                continue;
+            }
+
+            // A category moving to another space takes its subcategories and
+            // their items along, as a move through the REST API does
+            if (entity === 'categories' && updates.spaceId && updates.spaceId !== serverDoc.spaceId) {
+                const targetSpace = await Space.findOne({ spaceId: updates.spaceId });
+                await moveCategoryTo(serverDoc, targetSpace, {
+                    parentId: updates.parentId !== undefined ? updates.parentId : serverDoc.parentId
+                });
+            }
+
+            if (Object.keys(updates).length > 0) {
+                serverDoc.set(fromSyncValues(updates));
+                await serverDoc.save();
+            }
+
+            if (conflictFields.length > 0) {
+                result.conflicts.push({
+                    entity: type,
+                    id: clientRecord.id,
+                    type: 'update',
+                    fields: conflictFields,
+                    resolution: strategy,
+                    server: toSyncRecord(entity, serverDoc),
+                    client: clientValues
+                });
+            } else {
+                result.accepted.add(`${type}:${clientRecord.id}`);
+            }
+        } catch (error) {
+            if (error.name !== 'ValidationError') {
+                throw error;
+            }
+            result.rejected.push({ entity: type, id: clientRecord.id, reason: error.message });
+        }
+    }
+};
+
+// Apply deletions made on the client. A record the server edited after the
+// client's last sync is a delete/update conflict resolved by the strategy.
+const applyClientDeletions = async (entity, entries, context) => {
+    const { userId, since, strategy, access, result } = context;
+    const Model = SYNC_MODELS[entity];
+    const { type, idField } = SYNC_ENTITIES[entity];
+
+    for (const entry of entries) {
+        const id = typeof entry === 'string' ? entry : entry && entry.id;
+
+        if (!id) {
+            result.rejected.push({ entity: type, id: null, reason: 'Record id is required' });
+            continue;
+        }
+
+        const serverDoc = await Model.findOne({ [idField]: id });
+
+        // Already gone (possibly together with its parent)
+        if (!serverDoc) {
+            result.accepted.add(`${type}:${id}`);
+            continue;
+        }
+
+        // Only owners may delete a whole space
+        if (!canModify(serverDoc, access, entity === 'spaces' ? 'owner' : 'editor')) {
+            result.rejected.push({ entity: type, id, reason: 'Record is not writable by this user' });
+            continue;
+        }
+
+        if (!since || serverDoc.updatedAt > since) {
+            const clientDeletedAt = parseTimestamp(entry.deletedAt);
+            const keepServer = strategy === 'server-wins' ||
+                (strategy === 'merge' && !(clientDeletedAt !== null && clientDeletedAt > serverDoc.updatedAt));
+
+            result.conflicts.push({
+                entity: type,
+                id,
+                type: 'delete',
+                fields: [],
+                resolution: strategy,
+                server: toSyncRecord(entity, serverDoc),
+                client: { id, deleted: true }
+            });
+
+            if (keepServer) {
+                continue;
+            }
+        }
+
+        await SYNC_DELETERS[entity](serverDoc, userId);
+        result.accepted.add(`${type}:${id}`);
+    }
+};
+
+// @desc    Delta sync
 // @route   POST /api/v1/sync
 // @access  Private
 const syncData = async (req, res, next) => {
     try {
-        const { lastSyncTimestamp, spaces, currentSpaceId, preferences } = req.body;
-
-        // Update preferences if provided
-        if (preferences) {
-            await UserPreferences.findOneAndUpdate(
-                { userId: req.user.userId },
-                { ...preferences, updatedAt: Date.now() },
-                { upsert: true }
-            );
-        }
+        const {
+            lastSyncTimestamp,
+            conflictResolution = 'server-wins',
+            currentSpaceId,
+            preferences
+        } = req.body;
+
+        // Taken before applying anything so edits made by other devices while this
+        // request runs are picked up on the next sync
+        const syncTimestamp = new Date();
+        const since = parseTimestamp(lastSyncTimestamp);
+
+        // Tombstones older than the retention window are purged, so a client that
+        // has been away longer than that gets a full snapshot instead of a delta
+        const resetRequired = since !== null && since < Tombstone.getRetentionCutoff();
+        const pullSince = resetRequired ? null : since;
 
-        // Sync spaces (simplified - in production you'd handle conflicts)
-        if (spaces && Array.isArray(spaces)) {
-            for (const spaceData of spaces) {
-                await Space.findOneAndUpdate(
-                    { spaceId: spaceData.id, userId: req.user.userId },
-                    {
-                        name: spaceData.name,
-                        icon: spaceData.icon,
-                        isHidden: spaceData.isHidden,
-                        updatedAt: Date.now()
-                    },
+        // Client changes are applied all-or-nothing: if any write fails none of
+        // them are stored, and the client can simply retry the same payload
+        const { access, result } = await withTransaction(async () => {
+            // Update preferences if provided
+            if (preferences) {
+                await UserPreferences.findOneAndUpdate(
+                    { userId: req.user.userId },
+                    { ...preferences, updatedAt: Date.now() },
                     { upsert: true }
                 );
             }
+
+            const access = await loadSpaceAccess(req.user.userId);
+            const result = {
+                accepted: new Set(),
+                conflicts: [],
+                rejected: []
+            };
+
+            for (const entity of Object.keys(SYNC_ENTITIES)) {
+                if (Array.isArray(req.body[entity])) {
+                    await applyClientChanges(entity, req.body[entity], {
+                        userId: req.user.userId,
+                        since,
+                        strategy: conflictResolution,
+                        access,
+                        result
+                    });
+                }
+            }
+
+            // Deletions go last so records moved out of a deleted parent are kept
+            const clientDeleted = req.body.deleted || {};
+            for (const entity of Object.keys(SYNC_ENTITIES)) {
+                if (Array.isArray(clientDeleted[entity])) {
+                    await applyClientDeletions(entity, clientDeleted[entity], {
+                        userId: req.user.userId,
+                        since,
+                        strategy: conflictResolution,
+                        access,
+                        result
+                    });
+                }
+            }
+
+            return { access, result };
+        });
+
+        // Spaces the user was added to since the last sync come down in full:
+        // their existing records predate the client's timestamp
+        const joinedSpaceIds = pullSince
+            ? await Space.find({
+                members: { $elemMatch: { userId: req.user.userId, addedAt: { $gt: pullSince } } }
+            }).distinct('spaceId')
+            : [];
+
+        // Collect server-side changes since the client's last sync, leaving out
+        // records the client just sent that were stored unchanged
+        const changes = {};
+        const deleted = {};
+        for (const entity of Object.keys(SYNC_ENTITIES)) {
+            const { type, idField } = SYNC_ENTITIES[entity];
+            const filter = entity === 'spaces'
+                ? Space.accessibleBy(req.user.userId)
+                : { spaceId: { $in: [...access.roles.keys()] } };
+
+            if (pullSince) {
+                filter.$and = [{ $or: [{ updatedAt: { $gt: pullSince } }, { spaceId: { $in: joinedSpaceIds } }] }];
+            }
+
+            const docs = await SYNC_MODELS[entity].find(filter).sort({ order: 1 });
+            changes[entity] = docs
+                .filter(doc => !result.accepted.has(`${type}:${doc[idField]}`))
+                .map(doc => toSyncRecord(entity, doc));
+
+            // Spaces carry the user's role, which changes when an owner
+            // changes it, so clients know whether they can still edit
+            if (entity === 'spaces') {
+                changes[entity].forEach(record => {
+                    record.role = access.roles.get(record.id);
+                });
+            }
+
+            const tombstones = pullSince
+                ? await Tombstone.find({
+                    $or: [{ userId: req.user.userId }, { sharedWith: req.user.userId }],
+                    entityType: type,
+                    deletedAt: { $gt: pullSince }
+                })
+                : [];
+
+            // Tombstones of records that lost some of their users are only for
+            // those users: records this user can still see stay
+            const visibleIds = tombstones.length > 0
+                ? await SYNC_MODELS[entity].find({
+                    ...(entity === 'spaces'
+                        ? Space.accessibleBy(req.user.userId)
+                        : { spaceId: { $in: [...access.roles.keys()] } }),
+                    [idField]: { $in: tombstones.map(tombstone => tombstone.entityId) }
+                }).distinct(idField)
+                : [];
+
+            deleted[entity] = tombstones
+                .filter(tombstone => !result.accepted.has(`${type}:${tombstone.entityId}`))
+                .filter(tombstone => !visibleIds.includes(tombstone.entityId))
+                .map(tombstone => ({ id: tombstone.entityId, deletedAt: tombstone.deletedAt }));
         }
 
-        // Get latest data from server
-        const serverSpaces = await Space.find({ userId: req.user.userId }).sort({ order: 1 });
         const serverPreferences = await UserPreferences.findOne({ userId: req.user.userId });
 
         res.status(200).json({
             success: true,
             data: {
-                syncTimestamp: new Date().toISOString(),
-                conflicts: [],
-                spaces: serverSpaces,
+                syncTimestamp: syncTimestamp.toISOString(),
+                fullSync: !pullSince,
+                resetRequired,
+                conflicts: result.conflicts,
+                rejected: result.rejected,
+                ...changes,
+                deleted,
                 currentSpaceId,
                 preferences: serverPreferences || { isDarkMode: true, themeColor: 'blue' }
             }
@@ -113,49 +534,76 @@ const restoreBackup = async (req, res, next) => {
             });
         }
 
-        // Clear existing data
-        await Space.deleteMany({ userId: req.user.userId });
-        await Category.deleteMany({ userId: req.user.userId });
-        await Item.deleteMany({ userId: req.user.userId });
+        // The wipe and re-create run in one transaction, so a bad row in the
+        // backup rolls everything back and the account is left as it was
+        await withTransaction(async () => {
+            // Remember what exists now so records missing from the backup can be
+            // tombstoned for other devices
+            const previousSpaces = await Space.find({ userId: req.user.userId });
+            const previousCategories = await Category.find({ userId: req.user.userId });
+            const previousItems = await Item.find({ userId: req.user.userId });
 
-        // Restore spaces, categories, and items
-        for (const spaceData of backupData.spaces) {
-            const { categories, ...spaceInfo } = spaceData;
+            // Clear existing data, including the trash, since restored records
+            // may reuse the ids of trashed ones
+            await Space.deleteMany({ userId: req.user.userId }, { withDeleted: true });
+            await Category.deleteMany({ userId: req.user.userId }, { withDeleted: true });
+            await Item.deleteMany({ userId: req.user.userId }, { withDeleted: true });
 
-            await Space.create({
-                ...spaceInfo,
-                userId: req.user.userId
-            });
+            // Restore spaces, categories, and items
+            for (const spaceData of backupData.spaces) {
+                const { categories, ...spaceInfo } = spaceData;
 
-            if (categories && Array.isArray(categories)) {
-                for (const categoryData of categories) {
-                    const { items, ...categoryInfo } = categoryData;
+                await Space.create({
+                    ...spaceInfo,
+                    userId: req.user.userId
+                });
 
-                    await Category.create({
-                        ...categoryInfo,
-                        userId: req.user.userId
-                    });
+                if (categories && Array.isArray(categories)) {
+                    for (const categoryData of categories) {
+                        const { items, ...categoryInfo } = categoryData;
 
-                    if (items && Array.isArray(items)) {
-                        for (const itemData of items) {
-                            await Item.create({
-                                ...itemData,
-                                userId: req.user.userId
-                            });
+                        await Category.create({
+                            ...categoryInfo,
+                            userId: req.user.userId
+                        });
+
+                        if (items && Array.isArray(items)) {
+                            for (const itemData of items) {
+                                await Item.create({
+                                    ...itemData,
+                                    userId: req.user.userId
+                                });
+                            }
                         }
                     }
                 }
             }
-        }
 
-        // Restore preferences
-        if (backupData.preferences) {
-            await UserPreferences.findOneAndUpdate(
-                { userId: req.user.userId },
-                { ...backupData.preferences, updatedAt: Date.now() },
-                { upsert: true }
-            );
-        }
+            // Tombstone records the backup did not bring back, and drop tombstones
+            // for the ones it did
+            const restored = {
+                space: await Space.find({ userId: req.user.userId }).distinct('spaceId'),
+                category: await Category.find({ userId: req.user.userId }).distinct('categoryId'),
+                item: await Item.find({ userId: req.user.userId }).distinct('itemId')
+            };
+
+            await Tombstone.record('space', previousSpaces.filter(doc => !restored.space.includes(doc.spaceId)));
+            await Tombstone.record('category', previousCategories.filter(doc => !restored.category.includes(doc.categoryId)));
+            await Tombstone.record('item', previousItems.filter(doc => !restored.item.includes(doc.itemId)));
+
+            for (const entityType of Object.keys(restored)) {
+                await Tombstone.deleteMany({ entityType, entityId: { $in: restored[entityType] } });
+            }
+
+            // Restore preferences
+            if (backupData.preferences) {
+                await UserPreferences.findOneAndUpdate(
+                    { userId: req.user.userId },
+                    { ...backupData.preferences, updatedAt: Date.now() },
+                    { upsert: true }
+                );
+            }
+        });
 
         res.status(200).json({
             success: true,
@@ -0,0 +1,157 @@
+const Space = require('../models/Space');
+const Item = require('../models/Item');
+
+// Rename a tag on every item in the given spaces, without creating duplicates
+// on items that already carry the new name
+const renameTagInSpaces = async (spaceIds, from, to) => {
+    const deduped = await Item.updateMany(
+        { spaceId: { $in: spaceIds }, tags: { $all: [from, to] } },
+        { $pull: { tags: from } }
+    );
+    const renamed = await Item.updateMany(
+        { spaceId: { $in: spaceIds }, tags: from },
+        { $set: { 'tags.$': to } }
+    );
+
+    return deduped.modifiedCount + renamed.modifiedCount;
+};
+
+// @desc    Get all tags with usage counts
+// @route   GET /api/v1/tags
+// @access  Private
+const getAllTags = async (req, res, next) => {
+    try {
+        const spaceIds = await Space.findIdsAccessibleBy(req.user.userId);
+
+        const tags = await Item.aggregate([
+            { $match: { spaceId: { $in: spaceIds } } },
+            { $unwind: '$tags' },
+            {
+                $group: {
+                    _id: '$tags',
+                    count: { $sum: 1 },
+                    completedCount: { $sum: { $cond: ['$isCompleted', 1, 0] } },
+                    spaceIds: { $addToSet: '$spaceId' }
+                }
+            },
+            { $sort: { count: -1, _id: 1 } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: tags.map(tag => ({
+                name: tag._id,
+                count: tag.count,
+                completedCount: tag.completedCount,
+                spacesCount: tag.spaceIds.length
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Rename a tag across all spaces
+// @route   PATCH /api/v1/tags/:tag
+// @access  Private
+const renameTag = async (req, res, next) => {
+    try {
+        const [from] = Item.normalizeTags([req.params.tag]);
+        const [to] = Item.normalizeTags([req.body.name]);
+
+        if (!from || !to) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_INPUT',
+                    message: 'Tag names cannot be empty'
+                }
+            });
+        }
+
+        // Only spaces the user may edit are touched
+        const spaceIds = await Space.findIdsAccessibleBy(req.user.userId, 'editor');
+        const itemsUpdated = from === to ? 0 : await renameTagInSpaces(spaceIds, from, to);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from,
+                to,
+                itemsUpdated
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Merge several tags into one
+// @route   POST /api/v1/tags/merge
+// @access  Private
+const mergeTags = async (req, res, next) => {
+    try {
+        const [into] = Item.normalizeTags([req.body.into]);
+        const sources = Item.normalizeTags(req.body.tags).filter(tag => tag !== into);
+
+        if (!into || sources.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_INPUT',
+                    message: 'Provide the tags to merge and a different target tag'
+                }
+            });
+        }
+
+        const spaceIds = await Space.findIdsAccessibleBy(req.user.userId, 'editor');
+
+        let itemsUpdated = 0;
+        for (const source of sources) {
+            itemsUpdated += await renameTagInSpaces(spaceIds, source, into);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                merged: sources,
+                into,
+                itemsUpdated
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a tag from every item
+// @route   DELETE /api/v1/tags/:tag
+// @access  Private
+const deleteTag = async (req, res, next) => {
+    try {
+        const [tag] = Item.normalizeTags([req.params.tag]);
+        const spaceIds = await Space.findIdsAccessibleBy(req.user.userId, 'editor');
+
+        const result = await Item.updateMany(
+            { spaceId: { $in: spaceIds }, tags: tag },
+            { $pull: { tags: tag } }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tag,
+                itemsUpdated: result.modifiedCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAllTags,
+    renameTag,
+    mergeTags,
+    deleteTag
+};
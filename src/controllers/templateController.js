@@ -0,0 +1,144 @@
+const SpaceTemplate = require('../models/SpaceTemplate');
+const UserPreferences = require('../models/UserPreferences');
+const { BUILT_IN_TEMPLATES } = require('../config/templates');
+const { findTemplate, formatTemplate } = require('../utils/templates');
+
+const templateNotFound = (res) => res.status(404).json({
+    success: false,
+    error: {
+        code: 'NOT_FOUND',
+        message: 'Template not found'
+    }
+});
+
+// @desc    Get built-in templates and the user's own
+// @route   GET /api/v1/templates
+// @access  Private
+const getTemplates = async (req, res, next) => {
+    try {
+        const templates = await SpaceTemplate.find({ userId: req.user.userId }).sort({ createdAt: 1 });
+        const preferences = await UserPreferences.findOne({ userId: req.user.userId });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                defaultTemplateId: preferences?.defaultTemplateId || null,
+                builtIn: BUILT_IN_TEMPLATES.map(template => formatTemplate({ ...template, isBuiltIn: true })),
+                custom: templates.map(formatTemplate)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a single template
+// @route   GET /api/v1/templates/:templateId
+// @access  Private
+const getTemplate = async (req, res, next) => {
+    try {
+        const template = await findTemplate(req.params.templateId, req.user.userId);
+
+        if (!template) {
+            return templateNotFound(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: formatTemplate(template)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a template
+// @route   POST /api/v1/templates
+// @access  Private
+const createTemplate = async (req, res, next) => {
+    try {
+        const { name, icon, description, categories } = req.body;
+
+        const template = await SpaceTemplate.create({
+            userId: req.user.userId,
+            name,
+            icon,
+            description,
+            categories
+        });
+
+        res.status(201).json({
+            success: true,
+            data: formatTemplate(template)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update a template
+// @route   PUT /api/v1/templates/:templateId
+// @access  Private
+const updateTemplate = async (req, res, next) => {
+    try {
+        const template = await SpaceTemplate.findOne({
+            templateId: req.params.templateId,
+            userId: req.user.userId
+        });
+
+        if (!template) {
+            return templateNotFound(res);
+        }
+
+        ['name', 'icon', 'description', 'categories'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                template[field] = req.body[field];
+            }
+        });
+        await template.save();
+
+        res.status(200).json({
+            success: true,
+            data: formatTemplate(template)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a template
+// @route   DELETE /api/v1/templates/:templateId
+// @access  Private
+const deleteTemplate = async (req, res, next) => {
+    try {
+        const template = await SpaceTemplate.findOneAndDelete({
+            templateId: req.params.templateId,
+            userId: req.user.userId
+        });
+
+        if (!template) {
+            return templateNotFound(res);
+        }
+
+        // Stop using it as the default for new spaces
+        await UserPreferences.updateOne(
+            { userId: req.user.userId, defaultTemplateId: template.templateId },
+            { defaultTemplateId: null }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+};
@@ -0,0 +1,213 @@
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const {
+    TRASH_MODELS,
+    restoreFromTrash,
+    purgeFromTrash,
+    getPurgeDate
+} = require('../utils/deletion');
+
+// URL segment -> entity type
+const TRASH_TYPES = {
+    spaces: 'space',
+    categories: 'category',
+    items: 'item'
+};
+
+// Filter for records that were deleted directly (not along with a parent)
+const trashRoots = (type) => ({
+    deletedAt: { $ne: null },
+    $expr: { $eq: ['$trashRootId', `$${type}Id`] }
+});
+
+// Number of records trashed together with each root
+const countContents = async (Model, rootIds) => {
+    const counts = await Model.aggregate([
+        { $match: { trashRootId: { $in: rootIds } } },
+        { $group: { _id: '$trashRootId', count: { $sum: 1 } } }
+    ], { withDeleted: true });
+
+    return new Map(counts.map(entry => [entry._id, entry.count]));
+};
+
+// Trashed roots the user may restore or purge: spaces they own, and
+// categories/items in live spaces they can edit
+const findTrashRoots = async (userId, types = Object.values(TRASH_TYPES)) => {
+    const editableSpaceIds = await Space.findIdsAccessibleBy(userId, 'editor');
+
+    const spaces = types.includes('space')
+        ? await Space.find({ userId, ...trashRoots('space') })
+        : [];
+    const categories = types.includes('category')
+        ? await Category.find({ spaceId: { $in: editableSpaceIds }, ...trashRoots('category') })
+        : [];
+    const items = types.includes('item')
+        ? await Item.find({ spaceId: { $in: editableSpaceIds }, ...trashRoots('item') })
+        : [];
+
+    return { spaces, categories, items };
+};
+
+const formatTrashEntry = (type, doc, contents) => ({
+    type,
+    id: doc[`${type}Id`],
+    name: type === 'item' ? doc.text : doc.name,
+    icon: doc.icon,
+    spaceId: doc.spaceId,
+    categoryId: type === 'item' ? doc.categoryId : undefined,
+    deletedAt: doc.deletedAt,
+    deletedBy: doc.deletedBy,
+    purgeAt: getPurgeDate(doc.deletedAt),
+    contents
+});
+
+// Load a trashed root record the user is allowed to restore or purge
+const findTrashedRoot = async (type, id, userId) => {
+    const doc = await TRASH_MODELS[type].findOne({ [`${type}Id`]: id, deletedAt: { $ne: null } });
+
+    if (!doc || doc.trashRootId !== id) {
+        return null;
+    }
+
+    if (type === 'space') {
+        return doc.userId === userId ? doc : null;
+    }
+
+    const space = await Space.findOne({ spaceId: doc.spaceId });
+    return space && Space.roleSatisfies(space.getRole(userId), 'editor') ? doc : null;
+};
+
+const notInTrash = (res) => res.status(404).json({
+    success: false,
+    error: {
+        code: 'NOT_FOUND',
+        message: 'Record not found in trash'
+    }
+});
+
+// @desc    List trashed spaces, categories and items
+// @route   GET /api/v1/trash
+// @access  Private
+const getTrash = async (req, res, next) => {
+    try {
+        const types = req.query.type ? [TRASH_TYPES[req.query.type]] : undefined;
+        const { spaces, categories, items } = await findTrashRoots(req.user.userId, types);
+
+        const spaceIds = spaces.map(space => space.spaceId);
+        const categoryIds = categories.map(category => category.categoryId);
+        const spaceCategoryCounts = await countContents(Category, spaceIds);
+        const spaceItemCounts = await countContents(Item, spaceIds);
+        const categoryItemCounts = await countContents(Item, categoryIds);
+
+        const entries = [
+            ...spaces.map(space => formatTrashEntry('space', space, {
+                categories: spaceCategoryCounts.get(space.spaceId) || 0,
+                items: spaceItemCounts.get(space.spaceId) || 0
+            })),
+            ...categories.map(category => formatTrashEntry('category', category, {
+                items: categoryItemCounts.get(category.categoryId) || 0
+            })),
+            ...items.map(item => formatTrashEntry('item', item))
+        ].sort((a, b) => b.deletedAt - a.deletedAt);
+
+        res.status(200).json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Restore a trashed record with everything deleted along with it
+// @route   POST /api/v1/trash/:type/:id/restore
+// @access  Private
+const restoreTrashed = async (req, res, next) => {
+    try {
+        const type = TRASH_TYPES[req.params.type];
+        const doc = await findTrashedRoot(type, req.params.id, req.user.userId);
+
+        if (!doc) {
+            return notInTrash(res);
+        }
+
+        const { error, restored } = await restoreFromTrash(type, doc);
+
+        if (error) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: error,
+                    message: 'Restore the space this record belongs to first'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { type, id: req.params.id, restored }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Permanently delete a trashed record
+// @route   DELETE /api/v1/trash/:type/:id
+// @access  Private
+const purgeTrashed = async (req, res, next) => {
+    try {
+        const type = TRASH_TYPES[req.params.type];
+        const doc = await findTrashedRoot(type, req.params.id, req.user.userId);
+
+        if (!doc) {
+            return notInTrash(res);
+        }
+
+        const purged = await purgeFromTrash(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: { type, id: req.params.id, purged }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Permanently delete everything in the user's trash
+// @route   DELETE /api/v1/trash
+// @access  Private
+const emptyTrash = async (req, res, next) => {
+    try {
+        const { spaces, categories, items } = await findTrashRoots(req.user.userId);
+        const rootIds = [
+            ...spaces.map(space => space.spaceId),
+            ...categories.map(category => category.categoryId),
+            ...items.map(item => item.itemId)
+        ];
+
+        const purged = { space: 0, category: 0, item: 0 };
+        for (const rootId of rootIds) {
+            const counts = await purgeFromTrash(rootId);
+            Object.keys(purged).forEach(key => {
+                purged[key] += counts[key];
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { purged }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getTrash,
+    restoreTrashed,
+    purgeTrashed,
+    emptyTrash
+};
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { runWithContext } = require('../utils/requestContext');
+const { generateId } = require('../utils/ids');
 
 const protect = async (req, res, next) => {
     let token;
@@ -12,6 +15,24 @@ const protect = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Make sure the session behind the token has not been revoked
+            const session = decoded.sid && await Session.findOne({
+                sessionId: decoded.sid,
+                userId: decoded.userId
+            });
+
+            if (!session || !session.isActive()) {
+                return res.status(401).json({
+                    success: false,
+                    error: {
+                        code: 'UNAUTHORIZED',
+                        message: 'Session has expired or been revoked'
+                    }
+                });
+            }
+
+            req.sessionId = session.sessionId;
+
             // Get user from token
             req.user = await User.findOne({ userId: decoded.userId }).select('-password');
 
@@ -25,7 +46,8 @@ const protect = async (req, res, next) => {
                 });
             }
 
-            next();
+            // The rest of the request runs as one action of this user
+            runWithContext({ userId: req.user.userId, actionId: generateId('action') }, next);
         } catch (error) {
             console.error(error);
             return res.status(401).json({
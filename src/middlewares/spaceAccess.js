@@ -0,0 +1,88 @@
+const Space = require('../models/Space');
+
+// Load the space from req.params.spaceId and require the user to hold at least
+// `minRole` in it. Sets req.space and req.spaceRole for the controllers.
+const requireSpaceRole = (minRole) => async (req, res, next) => {
+    try {
+        const space = await Space.findOne({ spaceId: req.params.spaceId });
+        const role = space ? space.getRole(req.user.userId) : null;
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Space not found'
+                }
+            });
+        }
+
+        if (!Space.roleSatisfies(role, minRole)) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: `This action requires ${minRole} access to the space`
+                }
+            });
+        }
+
+        req.space = space;
+        req.spaceRole = role;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Load the destination of a move/copy from req.body.targetSpaceId (defaulting to
+// the current space). The user must be able to edit it, even when it is the
+// current space, and it must belong to the same owner as the source space so
+// records never cross accounts.
+// Sets req.targetSpace; must run after requireSpaceRole.
+const requireTargetSpace = async (req, res, next) => {
+    try {
+        const { targetSpaceId } = req.body;
+
+        const sameSpace = !targetSpaceId || targetSpaceId === req.space.spaceId;
+        const space = sameSpace ? req.space : await Space.findOne({ spaceId: targetSpaceId });
+        const role = sameSpace ? req.spaceRole : space && space.getRole(req.user.userId);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: 'Target space not found'
+                }
+            });
+        }
+
+        if (!Space.roleSatisfies(role, 'editor')) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: 'This action requires editor access to the target space'
+                }
+            });
+        }
+
+        if (!sameSpace && space.userId !== req.space.userId) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'CROSS_OWNER_TARGET',
+                    message: 'Records can only be moved or copied between spaces of the same owner'
+                }
+            });
+        }
+
+        req.targetSpace = space;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { requireSpaceRole, requireTargetSpace };
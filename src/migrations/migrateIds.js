@@ -0,0 +1,245 @@
+// Rewrites legacy ids (`${prefix}_${Date.now()}` and the hardcoded `default_*`
+// category ids) to the ULID-style scheme from utils/ids, updating every
+// reference to them. Old space/category/item ids are tombstoned so synced
+// devices drop their copies and pull the records under their new ids.
+//
+// Usage: npm run migrate:ids            apply
+//        npm run migrate:ids -- --dry-run   only report what would change
+//
+// Re-running is safe: new ids are derived from the old ones, and references are
+// rewritten before the records themselves, so an interrupted run can resume.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserPreferences = require('../models/UserPreferences');
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const SpaceTemplate = require('../models/SpaceTemplate');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const Tombstone = require('../models/Tombstone');
+const Revision = require('../models/Revision');
+const { generateIdFrom } = require('../utils/ids');
+
+const BATCH_SIZE = 500;
+
+const ENTITIES = [
+    { type: 'user', Model: User, idField: 'userId' },
+    { type: 'space', Model: Space, idField: 'spaceId' },
+    { type: 'category', Model: Category, idField: 'categoryId' },
+    { type: 'item', Model: Item, idField: 'itemId' },
+    { type: 'template', Model: SpaceTemplate, idField: 'templateId' }
+];
+
+// Every place an id of each type is stored: plain fields, arrays of ids
+// (`array: true`) and fields inside arrays of subdocuments (`within`)
+// Revision.entityId holds ids of every type; legacy ids carry their type in
+// the prefix, so rewriting it for one type never touches another's.
+const REFERENCES = {
+    user: [
+        { Model: UserPreferences, path: 'userId' },
+        { Model: Space, path: 'userId' },
+        { Model: Space, path: 'members', within: 'userId' },
+        { Model: Space, path: 'members', within: 'addedBy' },
+        { Model: Category, path: 'userId' },
+        { Model: Item, path: 'userId' },
+        { Model: Session, path: 'userId' },
+        { Model: AuthToken, path: 'userId' },
+        { Model: Tombstone, path: 'userId' },
+        { Model: Tombstone, path: 'sharedWith', array: true },
+        { Model: SpaceTemplate, path: 'userId' },
+        { Model: Revision, path: 'userId' }
+    ],
+    space: [
+        { Model: Category, path: 'spaceId' },
+        { Model: Item, path: 'spaceId' },
+        { Model: Tombstone, path: 'spaceId' },
+        { Model: Revision, path: 'spaceId' },
+        { Model: Revision, path: 'entityId' }
+    ],
+    category: [
+        { Model: Item, path: 'categoryId' },
+        { Model: Category, path: 'parentId' },
+        { Model: Revision, path: 'entityId' }
+    ],
+    item: [
+        { Model: Item, path: 'prerequisiteIds', array: true },
+        { Model: Revision, path: 'entityId' }
+    ],
+    // Built-in template ids (`default`, `travel`, ...) never look legacy, so
+    // only references to users' own templates are rewritten
+    template: [
+        { Model: UserPreferences, path: 'defaultTemplateId' }
+    ]
+};
+
+// Models whose documents are synced, so a rewrite must bump updatedAt
+const SYNCED_MODELS = [Space, Category, Item];
+
+const isLegacyId = (type, id) => {
+    if (typeof id !== 'string') {
+        return false;
+    }
+    return new RegExp(`^${type}_\\d+$`).test(id) || (type === 'category' && id.startsWith('default_'));
+};
+
+// Keep the original creation time in the new id so ordering is preserved
+const legacyTime = (id, createdAt) => {
+    const match = id.match(/_(\d+)$/);
+    if (match) {
+        return Number(match[1]);
+    }
+    return createdAt ? new Date(createdAt).getTime() : Date.now();
+};
+
+const buildIdMap = async ({ type, Model, idField }) => {
+    const docs = await Model.collection
+        .find({}, { projection: { [idField]: 1, createdAt: 1 } })
+        .toArray();
+
+    const idMap = new Map();
+    docs
+        .filter(doc => isLegacyId(type, doc[idField]))
+        .forEach(doc => {
+            const oldId = doc[idField];
+            idMap.set(oldId, generateIdFrom(type, legacyTime(oldId, doc.createdAt), oldId));
+        });
+
+    return idMap;
+};
+
+// Update operation that replaces oldId with newId at one reference location
+const buildRewriteOp = ({ path, array, within }, oldId, newId, touch) => {
+    const extra = touch ? { updatedAt: new Date() } : {};
+
+    if (within) {
+        return {
+            updateMany: {
+                filter: { [`${path}.${within}`]: oldId },
+                update: { $set: { [`${path}.$[entry].${within}`]: newId, ...extra } },
+                arrayFilters: [{ [`entry.${within}`]: oldId }]
+            }
+        };
+    }
+
+    if (array) {
+        return {
+            updateMany: {
+                filter: { [path]: oldId },
+                update: { $set: { [`${path}.$[entry]`]: newId, ...extra } },
+                arrayFilters: [{ entry: oldId }]
+            }
+        };
+    }
+
+    return {
+        updateMany: {
+            filter: { [path]: oldId },
+            update: { $set: { [path]: newId, ...extra } }
+        }
+    };
+};
+
+const runInBatches = async (Model, ops) => {
+    for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+        await Model.collection.bulkWrite(ops.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+};
+
+const rewriteReferences = async (type, idMap) => {
+    for (const reference of REFERENCES[type]) {
+        const touch = SYNCED_MODELS.includes(reference.Model);
+        const ops = [...idMap].map(([oldId, newId]) => buildRewriteOp(reference, oldId, newId, touch));
+        await runInBatches(reference.Model, ops);
+    }
+};
+
+const rewritePrimaryIds = async ({ Model, idField }, idMap) => {
+    const touch = SYNCED_MODELS.includes(Model);
+    const ops = [...idMap].map(([oldId, newId]) => buildRewriteOp({ path: idField }, oldId, newId, touch));
+    await runInBatches(Model, ops);
+};
+
+// Tombstone the old ids of synced records so devices drop their stale copies
+const tombstoneOldIds = async ({ type, Model, idField }, idMap, spaceMembers) => {
+    const deletedAt = new Date();
+    const ops = [];
+
+    for (const [oldId, newId] of idMap) {
+        const doc = await Model.collection.findOne({ [idField]: newId });
+        if (!doc) {
+            continue;
+        }
+
+        const spaceId = type === 'space' ? newId : doc.spaceId;
+        ops.push({
+            updateOne: {
+                filter: { entityType: type, entityId: oldId },
+                update: {
+                    $set: {
+                        userId: doc.userId,
+                        spaceId,
+                        sharedWith: spaceMembers.get(spaceId) || [],
+                        deletedAt
+                    }
+                },
+                upsert: true
+            }
+        });
+    }
+
+    await runInBatches(Tombstone, ops);
+};
+
+const migrate = async ({ dryRun }) => {
+    const idMaps = {};
+    for (const entity of ENTITIES) {
+        idMaps[entity.type] = await buildIdMap(entity);
+        console.log(`${entity.type}: ${idMaps[entity.type].size} legacy ids`);
+    }
+
+    if (dryRun) {
+        console.log('Dry run, nothing written');
+        return;
+    }
+
+    for (const entity of ENTITIES) {
+        const idMap = idMaps[entity.type];
+        if (idMap.size === 0) {
+            continue;
+        }
+
+        await rewriteReferences(entity.type, idMap);
+        await rewritePrimaryIds(entity, idMap);
+        console.log(`${entity.type}: ids and references rewritten`);
+    }
+
+    // Members are read after user ids were rewritten
+    const spaces = await Space.collection.find({}, { projection: { spaceId: 1, members: 1 } }).toArray();
+    const spaceMembers = new Map(spaces.map(space => [
+        space.spaceId,
+        (space.members || []).map(member => member.userId)
+    ]));
+
+    for (const entity of ENTITIES.filter(({ Model }) => SYNCED_MODELS.includes(Model))) {
+        await tombstoneOldIds(entity, idMaps[entity.type], spaceMembers);
+    }
+
+    console.log('Migration complete');
+};
+
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(() => migrate({ dryRun }))
+        .then(() => mongoose.disconnect())
+        .catch(async (error) => {
+            console.error(`Migration failed: ${error.message}`);
+            await mongoose.disconnect();
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate, isLegacyId };
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/jwt');
+
+// Single-use, expiring tokens sent by email (password reset, email verification)
+const authTokenSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        ref: 'User'
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['password_reset', 'email_verification']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new token, invalidating any earlier unused ones for the same purpose.
+// Returns the raw token; only its hash is stored.
+authTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+    await this.deleteMany({ userId, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+};
+
+// Mark a token as used, returning it only if it was valid and unused
+authTokenSchema.statics.consume = function (token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: Date.now() },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { generateId } = require('../utils/ids');
+const softDelete = require('./plugins/softDelete');
+const revisions = require('./plugins/revisions');
 
 const categorySchema = new mongoose.Schema({
     categoryId: {
@@ -6,7 +9,7 @@ const categorySchema = new mongoose.Schema({
         required: true,
         unique: true,
         default: function () {
-            return `category_${Date.now()}`;
+            return generateId('category');
         }
     },
     spaceId: {
@@ -19,6 +22,12 @@ const categorySchema = new mongoose.Schema({
         required: true,
         ref: 'User'
     },
+    // Parent category in the same space; null for top-level categories
+    parentId: {
+        type: String,
+        ref: 'Category',
+        default: null
+    },
     name: {
         type: String,
         required: [true, 'Category name is required'],
@@ -51,5 +60,9 @@ const categorySchema = new mongoose.Schema({
 // Index for faster queries
 categorySchema.index({ spaceId: 1, order: 1 });
 categorySchema.index({ userId: 1 });
+categorySchema.index({ spaceId: 1, parentId: 1, order: 1 });
+
+categorySchema.plugin(softDelete);
+categorySchema.plugin(revisions, { entityType: 'category' });
 
 module.exports = mongoose.model('Category', categorySchema);
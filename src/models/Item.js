@@ -1,4 +1,96 @@
 const mongoose = require('mongoose');
+const { generateId } = require('../utils/ids');
+const softDelete = require('./plugins/softDelete');
+const revisions = require('./plugins/revisions');
+const { PERIOD_FREQUENCIES, getPeriodStart } = require('../utils/periods');
+const { getContext } = require('../utils/requestContext');
+
+// Tags are matched case-insensitively, so store them trimmed, lowercased and unique
+const normalizeTags = (tags) => {
+    if (!Array.isArray(tags)) {
+        return [];
+    }
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Checklist step of an item; steps are kept in the order they should be done
+const stepSchema = new mongoose.Schema({
+    stepId: {
+        type: String,
+        required: true,
+        default: function () {
+            return generateId('step');
+        }
+    },
+    text: {
+        type: String,
+        required: [true, 'Step text is required'],
+        trim: true
+    },
+    isCompleted: {
+        type: Boolean,
+        default: false
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Where an item takes place, as a GeoJSON point: coordinates are [lng, lat]
+const locationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+    },
+    coordinates: {
+        type: [Number],
+        required: true,
+        validate: {
+            validator: (coordinates) => coordinates.length === 2 &&
+                coordinates[0] >= -180 && coordinates[0] <= 180 &&
+                coordinates[1] >= -90 && coordinates[1] <= 90,
+            message: 'Location needs a longitude and latitude'
+        }
+    },
+    name: {
+        type: String,
+        trim: true,
+        default: null
+    }
+}, { _id: false });
+
+// Completion of one period of a recurring item
+const periodCompletionSchema = new mongoose.Schema({
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    // Frequency the period belongs to; entries of other frequencies stay in
+    // the history but don't count towards streaks
+    recurrence: {
+        type: String,
+        enum: [...PERIOD_FREQUENCIES, null],
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    rating: {
+        type: Number,
+        default: null
+    },
+    completionNote: {
+        type: String,
+        default: null
+    },
+    memoryPhotos: {
+        type: [String],
+        default: []
+    }
+}, { _id: false });
 
 const itemSchema = new mongoose.Schema({
     itemId: {
@@ -6,7 +98,7 @@ const itemSchema = new mongoose.Schema({
         required: true,
         unique: true,
         default: function () {
-            return `item_${Date.now()}`;
+            return generateId('item');
         }
     },
     spaceId: {
@@ -45,6 +137,112 @@ const itemSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Aspirational "do this by" date (e.g. before turning 40)
+    targetDate: {
+        type: Date,
+        default: null
+    },
+    // Hard deadline; drives the overdue/upcoming filters
+    dueDate: {
+        type: Date,
+        default: null
+    },
+    reminderAt: {
+        type: Date,
+        default: null
+    },
+    reminderSentAt: {
+        type: Date,
+        default: null
+    },
+    // Completion details survive un-completing so a re-completion keeps them
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    rating: {
+        type: Number,
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5'],
+        default: null
+    },
+    completionNote: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    memoryPhotos: {
+        type: [String],
+        default: []
+    },
+    tags: {
+        type: [String],
+        default: [],
+        set: normalizeTags
+    },
+    // 1 (low) to 5 (top priority)
+    priority: {
+        type: Number,
+        min: [1, 'Priority must be between 1 and 5'],
+        max: [5, 'Priority must be between 1 and 5'],
+        default: null
+    },
+    // Planned cost, in currency; actualCost is what it came to once done
+    estimatedCost: {
+        type: Number,
+        min: [0, 'Cost cannot be negative'],
+        default: null
+    },
+    actualCost: {
+        type: Number,
+        min: [0, 'Cost cannot be negative'],
+        default: null
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        default: 'USD'
+    },
+    estimatedHours: {
+        type: Number,
+        min: [0, 'Effort cannot be negative'],
+        default: null
+    },
+    location: {
+        type: locationSchema,
+        default: null
+    },
+    // Items (of the same owner) that should be done before this one
+    prerequisiteIds: {
+        type: [{ type: String, ref: 'Item' }],
+        default: []
+    },
+    steps: {
+        type: [stepSchema],
+        default: []
+    },
+    // Complete the item by itself once every step is checked off
+    autoCompleteSteps: {
+        type: Boolean,
+        default: false
+    },
+    // Recurring items are reset at the start of every period; null for one-off goals
+    recurrence: {
+        type: String,
+        enum: [...PERIOD_FREQUENCIES, null],
+        default: null
+    },
+    // Start of the period the current completion state belongs to
+    periodStart: {
+        type: Date,
+        default: null
+    },
+    // One entry per completed period, oldest first
+    completionHistory: {
+        type: [periodCompletionSchema],
+        default: []
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -61,5 +259,89 @@ const itemSchema = new mongoose.Schema({
 itemSchema.index({ spaceId: 1, categoryId: 1, order: 1 });
 itemSchema.index({ userId: 1 });
 itemSchema.index({ isCompleted: 1 });
+itemSchema.index({ spaceId: 1, dueDate: 1 });
+itemSchema.index({ reminderAt: 1, reminderSentAt: 1 });
+itemSchema.index({ userId: 1, isCompleted: 1, completedAt: -1 });
+itemSchema.index({ spaceId: 1, tags: 1 });
+itemSchema.index({ recurrence: 1, periodStart: 1 });
+itemSchema.index({ spaceId: 1, priority: -1 });
+// Items without a location are left out of the index
+itemSchema.index({ location: '2dsphere' });
+itemSchema.index({ prerequisiteIds: 1 });
+
+// Checking off the last step completes items that opted in, unless one of
+// their prerequisites the user can see is still open. Those items stay open
+// with $locals.autoCompleteHeld set, so the caller can tell why.
+itemSchema.pre('save', async function () {
+    this.$locals.autoCompleteHeld = false;
+    if (!(this.isModified('steps') || this.isModified('autoCompleteSteps')) ||
+        !this.autoCompleteSteps || this.isCompleted ||
+        this.steps.length === 0 || !this.steps.every(step => step.isCompleted)) {
+        return;
+    }
+
+    const open = this.prerequisiteIds.length > 0
+        ? await this.constructor.find({ itemId: { $in: this.prerequisiteIds }, isCompleted: false }).select('spaceId')
+        : [];
+    const spaceIds = open.length > 0 ? await mongoose.model('Space').findIdsAccessibleBy(getContext().userId) : [];
+    this.$locals.autoCompleteHeld = open.some(prerequisite => spaceIds.includes(prerequisite.spaceId));
+    this.isCompleted = !this.$locals.autoCompleteHeld;
+});
+
+// A new reminder time needs to fire again
+itemSchema.pre('save', function (next) {
+    if (!this.isNew && this.isModified('reminderAt')) {
+        this.reminderSentAt = null;
+    }
+
+    // Stamp completions that didn't say when they happened (e.g. from sync)
+    if (this.isModified('isCompleted') && this.isCompleted && !this.isModified('completedAt')) {
+        this.completedAt = new Date();
+    }
+
+    if (this.recurrence && (!this.periodStart || this.isModified('recurrence'))) {
+        this.periodStart = getPeriodStart(this.recurrence);
+    }
+
+    // Entries recorded before they carried their frequency belong to the one
+    // the item had when it was loaded
+    const storedRecurrence = this.$locals.storedRecurrence;
+    if (storedRecurrence && this.completionHistory.some(entry => !entry.recurrence)) {
+        this.completionHistory.forEach(entry => {
+            if (!entry.recurrence) {
+                entry.recurrence = storedRecurrence;
+            }
+        });
+    }
+
+    // Recurring items keep the completion of the current period in their history
+    if (this.recurrence &&
+        this.isModified(['isCompleted', 'completedAt', 'rating', 'completionNote', 'memoryPhotos', 'periodStart'])) {
+        const periodStart = this.periodStart.getTime();
+        this.completionHistory = this.completionHistory.filter(entry =>
+            entry.recurrence !== this.recurrence || entry.periodStart.getTime() !== periodStart);
+        if (this.isCompleted) {
+            this.completionHistory.push({
+                periodStart: this.periodStart,
+                recurrence: this.recurrence,
+                completedAt: this.completedAt,
+                rating: this.rating,
+                completionNote: this.completionNote,
+                memoryPhotos: this.memoryPhotos
+            });
+        }
+    }
+    next();
+});
+
+// Frequency as stored, to tell which one older history entries belong to
+itemSchema.post(['init', 'save'], function () {
+    this.$locals.storedRecurrence = this.recurrence;
+});
+
+itemSchema.statics.normalizeTags = normalizeTags;
+
+itemSchema.plugin(softDelete);
+itemSchema.plugin(revisions, { entityType: 'item', ignore: ['reminderSentAt'] });
 
 module.exports = mongoose.model('Item', itemSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { generateId } = require('../utils/ids');
+
+// How long the change history is kept. Older revisions can no longer be
+// reverted to or undone.
+const RETENTION_DAYS = parseInt(process.env.REVISION_RETENTION_DAYS) || 90;
+
+// One recorded change to a space, category or item. `before` and `after` hold
+// the changed fields only (the whole record for a create).
+const revisionSchema = new mongoose.Schema({
+    revisionId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: function () {
+            return generateId('rev');
+        }
+    },
+    // Changes made by the same request share an action, so they are undone together
+    actionId: {
+        type: String,
+        required: true
+    },
+    entityType: {
+        type: String,
+        required: true,
+        enum: ['space', 'category', 'item']
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    spaceId: {
+        type: String,
+        ref: 'Space',
+        default: null
+    },
+    // Who made the change; null for background jobs
+    userId: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['create', 'update', 'delete', 'restore']
+    },
+    fields: {
+        type: [String],
+        default: []
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // For deletes, the record whose deletion sent this one to the trash
+    trashRootId: {
+        type: String,
+        default: null
+    },
+    // Made while undoing another action; undo skips these
+    isUndo: {
+        type: Boolean,
+        default: false
+    },
+    undoneAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+revisionSchema.index({ entityType: 1, entityId: 1, revisionId: -1 });
+revisionSchema.index({ spaceId: 1, revisionId: -1 });
+revisionSchema.index({ actionId: 1 });
+revisionSchema.index({ userId: 1, isUndo: 1, undoneAt: 1, revisionId: -1 });
+
+// Purge policy: MongoDB removes revisions once they outlive the retention window
+revisionSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { generateId } = require('../utils/ids');
+
+const sessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: function () {
+            return generateId('session');
+        }
+    },
+    userId: {
+        type: String,
+        required: true,
+        ref: 'User'
+    },
+    // SHA-256 of the refresh token currently valid for this session
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hashes of refresh tokens already rotated out; presenting one again means
+    // the token was stolen and replayed
+    previousTokenHashes: {
+        type: [String],
+        default: [],
+        select: false
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const { generateId } = require('../utils/ids');
+const softDelete = require('./plugins/softDelete');
+const revisions = require('./plugins/revisions');
+
+// Collaborator roles, weakest first
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const memberSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        ref: 'User'
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'editor'
+    },
+    addedBy: {
+        type: String,
+        ref: 'User'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
 
 const spaceSchema = new mongoose.Schema({
     spaceId: {
@@ -6,7 +35,7 @@ const spaceSchema = new mongoose.Schema({
         required: true,
         unique: true,
         default: function () {
-            return `space_${Date.now()}`;
+            return generateId('space');
         }
     },
     userId: {
@@ -31,6 +60,18 @@ const spaceSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Users the space is shared with; the creator (userId) is always an owner
+    members: {
+        type: [memberSchema],
+        default: []
+    },
+    // Unguessable token for the public read-only link; unset when not published
+    shareToken: {
+        type: String
+    },
+    sharedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -45,5 +86,42 @@ const spaceSchema = new mongoose.Schema({
 
 // Index for faster queries
 spaceSchema.index({ userId: 1, order: 1 });
+spaceSchema.index({ 'members.userId': 1 });
+spaceSchema.index(
+    { shareToken: 1 },
+    { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } }
+);
+
+// Role a user has in this space, null if they have no access
+spaceSchema.methods.getRole = function (userId) {
+    if (this.userId === userId) {
+        return 'owner';
+    }
+    const member = this.members.find(m => m.userId === userId);
+    return member ? member.role : null;
+};
+
+// Filter matching every space a user owns or was invited to
+spaceSchema.statics.accessibleBy = function (userId) {
+    return { $or: [{ userId }, { 'members.userId': userId }] };
+};
+
+// Ids of the spaces where a user holds at least minRole
+spaceSchema.statics.findIdsAccessibleBy = async function (userId, minRole = 'viewer') {
+    const spaces = await this.find(this.accessibleBy(userId)).select('spaceId userId members');
+    return spaces
+        .filter(space => this.roleSatisfies(space.getRole(userId), minRole))
+        .map(space => space.spaceId);
+};
+
+// Whether a role grants at least the permissions of minRole
+spaceSchema.statics.roleSatisfies = function (role, minRole) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+};
+
+spaceSchema.statics.ROLES = ROLES;
+
+spaceSchema.plugin(softDelete);
+spaceSchema.plugin(revisions, { entityType: 'space', ignore: ['shareToken', 'sharedAt'] });
 
 module.exports = mongoose.model('Space', spaceSchema);
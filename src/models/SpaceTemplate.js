@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { generateId } = require('../utils/ids');
+
+// Starter item created in every space made from the template
+const templateItemSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: [true, 'Item text is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    imageUrl: {
+        type: String,
+        default: null
+    },
+    tags: {
+        type: [String],
+        default: []
+    }
+}, { _id: false });
+
+const templateCategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        trim: true
+    },
+    icon: {
+        type: String,
+        default: '📌'
+    },
+    isHidden: {
+        type: Boolean,
+        default: false
+    },
+    items: {
+        type: [templateItemSchema],
+        default: []
+    }
+}, { _id: false });
+
+// Subcategories nest to any depth
+templateCategorySchema.add({
+    children: {
+        type: [templateCategorySchema],
+        default: []
+    }
+});
+
+const spaceTemplateSchema = new mongoose.Schema({
+    templateId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: function () {
+            return generateId('template');
+        }
+    },
+    userId: {
+        type: String,
+        required: true,
+        ref: 'User'
+    },
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true
+    },
+    icon: {
+        type: String,
+        default: '📁'
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    categories: {
+        type: [templateCategorySchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+spaceTemplateSchema.index({ userId: 1, name: 1 });
+
+module.exports = mongoose.model('SpaceTemplate', spaceTemplateSchema);
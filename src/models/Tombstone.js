@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// How long deletions are remembered for sync. Clients that have not synced
+// within this window must do a full sync because tombstones may be gone.
+const RETENTION_DAYS = parseInt(process.env.TOMBSTONE_RETENTION_DAYS) || 90;
+
+const tombstoneSchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        required: true,
+        enum: ['space', 'category', 'item']
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true,
+        ref: 'User'
+    },
+    spaceId: {
+        type: String,
+        ref: 'Space',
+        default: null
+    },
+    // Members of the space at deletion time, so their devices sync it too. Also
+    // set for records that still exist but that these users lost access to.
+    sharedWith: {
+        type: [String],
+        default: []
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+tombstoneSchema.index({ entityType: 1, entityId: 1 }, { unique: true });
+tombstoneSchema.index({ userId: 1, deletedAt: 1 });
+tombstoneSchema.index({ sharedWith: 1, deletedAt: 1 });
+
+// Purge policy: MongoDB removes tombstones once they outlive the retention window
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Record deletions for a list of documents of the same type. Users already
+// listed on an earlier tombstone of a record keep getting it.
+tombstoneSchema.statics.record = async function (entityType, docs, options = {}) {
+    const idField = `${entityType}Id`;
+    const deletedAt = options.deletedAt || new Date();
+
+    if (docs.length === 0) {
+        return;
+    }
+
+    await this.bulkWrite(docs.map(doc => ({
+        updateOne: {
+            filter: { entityType, entityId: doc[idField] },
+            update: {
+                $set: {
+                    userId: doc.userId,
+                    spaceId: doc.spaceId || null,
+                    deletedAt
+                },
+                $addToSet: { sharedWith: { $each: options.sharedWith || [] } }
+            },
+            upsert: true
+        }
+    })));
+};
+
+// Oldest lastSyncTimestamp for which the tombstone set is still complete
+tombstoneSchema.statics.getRetentionCutoff = function () {
+    return new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateId } = require('../utils/ids');
 
 const userSchema = new mongoose.Schema({
     userId: {
@@ -7,7 +8,7 @@ const userSchema = new mongoose.Schema({
         required: true,
         unique: true,
         default: function () {
-            return `user_${Date.now()}`;
+            return generateId('user');
         }
     },
     email: {
@@ -29,6 +30,14 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Name is required'],
         trim: true
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -44,7 +53,7 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -15,6 +15,11 @@ const userPreferencesSchema = new mongoose.Schema({
         type: String,
         default: 'blue'
     },
+    // Template used for new spaces when none is picked (built-in or own)
+    defaultTemplateId: {
+        type: String,
+        default: null
+    },
     updatedAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,177 @@
+const Revision = require('../Revision');
+const { getContext } = require('../../utils/requestContext');
+const { generateId } = require('../../utils/ids');
+
+// Change history for spaces, categories and items. Every write made through
+// save, insertMany or an update query is recorded as a Revision with who made
+// it and the changed fields before and after. Must be applied after the
+// softDelete plugin, so update filters already leave out trashed records and a
+// change of deletedAt can be told apart as a delete or a restore. Only the
+// fields a write touches are read back, and bulk shifts of `order` alone
+// (making room among siblings) aren't recorded.
+
+// Bookkeeping fields that aren't part of a record's history
+const UNTRACKED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'trashRootId'];
+
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+// Records loaded by an update query's pre hook, for its post hook to diff
+const pendingUpdates = new WeakMap();
+
+// Top-level fields an update query writes, from its plain fields and operators
+// (tags.$ counts as tags). Null for aggregation pipelines, which may write any.
+const updatedFields = (update) => {
+    if (Array.isArray(update)) {
+        return null;
+    }
+    const paths = Object.entries(update || {}).flatMap(([key, value]) =>
+        (key.startsWith('$') ? Object.keys(value || {}) : [key]));
+    return [...new Set(paths.map(path => path.split('.')[0]))];
+};
+
+// Plain JSON copy of a value, so snapshots compare and store the same way
+// whether they come from a document or from a revision
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const revisions = (schema, { entityType, ignore = [] }) => {
+    const idField = `${entityType}Id`;
+    const untracked = [...UNTRACKED_FIELDS, idField, ...ignore];
+    const trackedFields = [...new Set(Object.keys(schema.paths).map(path => path.split('.')[0]))]
+        .filter(field => !untracked.includes(field));
+
+    // Tracked fields among the given top-level fields
+    const trackedAmong = (fields) => trackedFields.filter(field => fields.includes(field));
+
+    // Fields read back around a write: the tracked ones it touches, plus what
+    // a revision needs to tell where the record is and whether it was trashed
+    const selection = (fields) => [idField, 'spaceId', 'deletedAt', 'trashRootId', ...fields].join(' ');
+
+    const snapshot = (doc, fields = trackedFields) => {
+        const values = doc.toObject({ depopulate: true });
+        return Object.fromEntries(fields.map(field => [field, toPlain(values[field])]));
+    };
+
+    // Revision for a record going from `before` (null when new) to its current
+    // state, comparing the fields snapshotted in `before`
+    const buildRevision = (before, doc) => {
+        const after = snapshot(doc, before ? before.fields : trackedFields);
+        const { userId = null, actionId = generateId('action'), isUndo = false } = getContext();
+        const revision = {
+            actionId,
+            entityType,
+            entityId: doc[idField],
+            spaceId: doc.spaceId,
+            userId,
+            isUndo
+        };
+
+        if (!before) {
+            return { ...revision, action: 'create', fields: trackedFields, after };
+        }
+
+        const fields = before.fields.filter(field =>
+            JSON.stringify(before.values[field]) !== JSON.stringify(after[field]));
+        let action = 'update';
+        if (!before.deletedAt && doc.deletedAt) {
+            action = 'delete';
+        } else if (before.deletedAt && !doc.deletedAt) {
+            action = 'restore';
+        } else if (fields.length === 0) {
+            return null;
+        }
+
+        return {
+            ...revision,
+            action,
+            fields,
+            before: Object.fromEntries(fields.map(field => [field, before.values[field]])),
+            after: Object.fromEntries(fields.map(field => [field, after[field]])),
+            trashRootId: action === 'delete' ? doc.trashRootId : null
+        };
+    };
+
+    const record = async (entries) => {
+        const revisionsToSave = entries.map(([before, doc]) => buildRevision(before, doc)).filter(Boolean);
+        if (revisionsToSave.length > 0) {
+            await Revision.insertMany(revisionsToSave);
+        }
+    };
+
+    // The stored state of the modified fields of a record about to be saved,
+    // read back from the database since the document itself already holds the
+    // new values. Saves that change nothing tracked aren't recorded.
+    schema.pre('save', async function () {
+        this.$locals.revisionBefore = undefined;
+        if (this.isNew) {
+            this.$locals.revisionBefore = null;
+            return;
+        }
+
+        const modified = this.modifiedPaths().map(path => path.split('.')[0]);
+        const fields = trackedAmong(modified);
+        if (fields.length === 0 && !modified.includes('deletedAt')) {
+            return;
+        }
+
+        const stored = await this.constructor.findOne({ _id: this._id }, selection(fields), { withDeleted: true });
+        if (stored) {
+            this.$locals.revisionBefore = { fields, values: snapshot(stored, fields), deletedAt: stored.deletedAt };
+        }
+    });
+
+    schema.post('save', async function (doc) {
+        if (doc.$locals.revisionBefore !== undefined) {
+            await record([[doc.$locals.revisionBefore, doc]]);
+        }
+    });
+
+    schema.post('insertMany', async function (docs) {
+        await record(docs.map(doc => [null, doc]));
+    });
+
+    schema.pre(UPDATE_HOOKS, async function () {
+        const updated = updatedFields(this.getUpdate());
+        const fields = updated ? trackedAmong(updated) : trackedFields;
+        const touchesTrash = !updated || updated.includes('deletedAt');
+        if (fields.length === 0 && !touchesTrash) {
+            return;
+        }
+
+        // Siblings shifted to make room keep their place relative to each other
+        if (this.op === 'updateMany' && fields.length === 1 && fields[0] === 'order' && !touchesTrash) {
+            return;
+        }
+
+        let query = this.model.find(this.getFilter(), selection(fields), { withDeleted: true });
+        if (this.op !== 'updateMany') {
+            query = query.sort(this.getOptions().sort).limit(1);
+        }
+        const docs = await query;
+        pendingUpdates.set(this, docs.map(doc => ({
+            _id: doc._id,
+            fields,
+            values: snapshot(doc, fields),
+            deletedAt: doc.deletedAt
+        })));
+    });
+
+    schema.post(UPDATE_HOOKS, async function () {
+        const before = pendingUpdates.get(this) || [];
+        pendingUpdates.delete(this);
+        if (before.length === 0) {
+            return;
+        }
+
+        const docs = await this.model.find(
+            { _id: { $in: before.map(entry => entry._id) } },
+            selection(before[0].fields),
+            { withDeleted: true }
+        );
+        const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+        await record(before
+            .filter(entry => byId.has(String(entry._id)))
+            .map(entry => [entry, byId.get(String(entry._id))]));
+    });
+};
+
+module.exports = revisions;
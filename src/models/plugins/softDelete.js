@@ -0,0 +1,69 @@
+// Soft delete for records that can sit in the trash. Trashed documents keep
+// their data but are left out of every query unless the query either
+// mentions `deletedAt` in its filter or passes the `withDeleted: true` option.
+const QUERY_HOOKS = [
+    'countDocuments',
+    'deleteMany',
+    'deleteOne',
+    'distinct',
+    'find',
+    'findOne',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'findOneAndUpdate',
+    'replaceOne',
+    'updateMany',
+    'updateOne'
+];
+
+// Stages that must stay first in an aggregation pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+        deletedBy: {
+            type: String,
+            ref: 'User',
+            default: null
+        },
+        // Id of the record whose deletion sent this one to the trash (its own id
+        // when deleted directly), so a restore brings back exactly that subtree
+        trashRootId: {
+            type: String,
+            default: null
+        }
+    });
+
+    schema.index({ deletedAt: 1 });
+    schema.index({ trashRootId: 1 });
+
+    schema.pre(QUERY_HOOKS, function () {
+        if (this.getOptions().withDeleted || Object.hasOwn(this.getFilter(), 'deletedAt')) {
+            return;
+        }
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        if (this.options.withDeleted) {
+            // Not an option the server knows about
+            delete this.options.withDeleted;
+            return;
+        }
+
+        const pipeline = this.pipeline();
+        const first = pipeline[0] ? Object.keys(pipeline[0])[0] : null;
+        const index = LEADING_STAGES.includes(first) ? 1 : 0;
+        pipeline.splice(index, 0, { $match: { deletedAt: null } });
+    });
+
+    schema.methods.isTrashed = function () {
+        return Boolean(this.deletedAt);
+    };
+};
+
+module.exports = softDelete;
@@ -4,6 +4,14 @@ const validate = require('../middlewares/validate');
 const {
     register,
     login,
+    refresh,
+    logout,
+    getSessions,
+    revokeSession,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
     getProfile,
     updatePreferences
 } = require('../controllers/authController');
@@ -33,7 +41,48 @@ router.post(
     login
 );
 
+router.post(
+    '/refresh',
+    [
+        body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+        validate
+    ],
+    refresh
+);
+
+router.post(
+    '/verify-email',
+    [
+        body('token').isString().notEmpty().withMessage('Verification token is required'),
+        validate
+    ],
+    verifyEmail
+);
+
+router.post(
+    '/forgot-password',
+    [
+        body('email').isEmail().withMessage('Please provide a valid email'),
+        validate
+    ],
+    forgotPassword
+);
+
+router.post(
+    '/reset-password',
+    [
+        body('token').isString().notEmpty().withMessage('Reset token is required'),
+        body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+        validate
+    ],
+    resetPassword
+);
+
 // Protected routes
+router.post('/logout', protect, logout);
+router.post('/resend-verification', protect, resendVerification);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:sessionId', protect, revokeSession);
 router.get('/profile', protect, getProfile);
 router.patch('/preferences', protect, updatePreferences);
 
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const validate = require('../middlewares/validate');
 const {
     getAllCategories,
@@ -8,22 +8,37 @@ const {
     updateCategory,
     toggleCategoryVisibility,
     reorderCategories,
+    moveCategory,
+    copyCategory,
     deleteCategory
 } = require('../controllers/categoryController');
+const { getCategoryRevisions } = require('../controllers/revisionController');
 const { protect } = require('../middlewares/auth');
+const { requireSpaceRole, requireTargetSpace } = require('../middlewares/spaceAccess');
+const { CATEGORY_ITEM_STRATEGIES } = require('../utils/deletion');
 
 const router = express.Router({ mergeParams: true });
 
+// Paging through a change history, newest first
+const revisionValidators = [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+    query('before').optional().isString().withMessage('before must be a revision id'),
+    validate
+];
+
 // All routes are protected
 router.use(protect);
 
-router.get('/', getAllCategories);
-router.get('/:categoryId', getCategory);
+router.get('/', requireSpaceRole('viewer'), getAllCategories);
+router.get('/:categoryId', requireSpaceRole('viewer'), getCategory);
+router.get('/:categoryId/revisions', requireSpaceRole('viewer'), revisionValidators, getCategoryRevisions);
 
 router.post(
     '/',
+    requireSpaceRole('editor'),
     [
         body('name').notEmpty().withMessage('Category name is required'),
+        body('parentId').optional({ values: 'null' }).isString().withMessage('parentId must be a string'),
         validate
     ],
     createCategory
@@ -31,6 +46,7 @@ router.post(
 
 router.put(
     '/:categoryId',
+    requireSpaceRole('editor'),
     [
         body('name').notEmpty().withMessage('Category name is required'),
         validate
@@ -38,8 +54,37 @@ router.put(
     updateCategory
 );
 
-router.patch('/:categoryId/visibility', toggleCategoryVisibility);
-router.patch('/reorder', reorderCategories);
-router.delete('/:categoryId', deleteCategory);
+router.patch('/:categoryId/visibility', requireSpaceRole('editor'), toggleCategoryVisibility);
+router.patch('/reorder', requireSpaceRole('editor'), reorderCategories);
+
+// Destination of a move or copy; the space defaults to the current one, and
+// parentId null puts the category at the top level
+const transferValidators = [
+    body('targetSpaceId').optional().isString().withMessage('targetSpaceId must be a string'),
+    body('parentId').optional({ values: 'null' }).isString().withMessage('parentId must be a string'),
+    body('position').optional().isInt({ min: 0 }).withMessage('position must be a non-negative integer').toInt(),
+    validate
+];
+
+router.patch('/:categoryId/move', requireSpaceRole('editor'), transferValidators, requireTargetSpace, moveCategory);
+
+// Copying only needs read access to the source space
+router.post('/:categoryId/copy', requireSpaceRole('viewer'), transferValidators, requireTargetSpace, copyCategory);
+router.delete(
+    '/:categoryId',
+    requireSpaceRole('editor'),
+    [
+        query('strategy')
+            .optional()
+            .isIn(CATEGORY_ITEM_STRATEGIES)
+            .withMessage(`Strategy must be one of: ${CATEGORY_ITEM_STRATEGIES.join(', ')}`),
+        query('targetCategoryId')
+            .if(query('strategy').equals('move'))
+            .notEmpty()
+            .withMessage('targetCategoryId is required to move items'),
+        validate
+    ],
+    deleteCategory
+);
 
 module.exports = router;
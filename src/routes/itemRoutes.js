@@ -1,41 +1,291 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const validate = require('../middlewares/validate');
 const {
     getAllItems,
     getItem,
+    getAvailableItems,
+    getItemHistory,
     createItem,
     updateItem,
     toggleItemCompletion,
+    updateCompletionDetails,
     moveItem,
+    copyItem,
     reorderItems,
-    deleteItem
+    deleteItem,
+    batchItems,
+    ITEM_SORTS
 } = require('../controllers/itemController');
+const {
+    addStep,
+    updateStep,
+    toggleStep,
+    reorderSteps,
+    deleteStep
+} = require('../controllers/stepController');
+const { getItemRevisions } = require('../controllers/revisionController');
 const { protect } = require('../middlewares/auth');
+const { requireSpaceRole, requireTargetSpace } = require('../middlewares/spaceAccess');
+const { PERIOD_FREQUENCIES } = require('../utils/periods');
 
 const router = express.Router({ mergeParams: true });
 
 // All routes are protected
 router.use(protect);
 
-router.get('/', getAllItems);
-router.get('/:itemId', getItem);
+// Optional item dates; null clears a date
+const dateValidators = ['targetDate', 'dueDate', 'reminderAt'].map(field =>
+    body(field).optional({ values: 'null' }).isISO8601().withMessage(`${field} must be a valid date`)
+);
+
+const tagValidators = [
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('tags.*').isString().isLength({ min: 1, max: 50 }).withMessage('Tags must be 1-50 characters')
+];
+
+// Destination of a move or copy; the space defaults to the current one
+const transferValidators = [
+    body('targetSpaceId').optional().isString().withMessage('targetSpaceId must be a string'),
+    body('categoryId').optional({ values: 'null' }).isString().withMessage('categoryId must be a string'),
+    body('position').optional().isInt({ min: 0 }).withMessage('position must be a non-negative integer').toInt()
+];
+
+// Checklist steps given when creating an item, as texts or { text, isCompleted }
+const stepValidators = [
+    body('steps').optional().isArray({ max: 100 }).withMessage('Steps must be an array of up to 100'),
+    body('steps.*').custom(step => typeof step === 'string' ? step.trim() !== '' : Boolean(step && step.text))
+        .withMessage('Each step needs text'),
+    body('autoCompleteSteps').optional().isBoolean().withMessage('autoCompleteSteps must be true or false').toBoolean()
+];
+
+// What a completed item actually cost, sent with the completion or edited later
+const actualCostValidator = body('actualCost')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('actualCost must be a non-negative number')
+    .toFloat();
+
+// ISO 4217 codes; stored uppercase
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+
+// Priority, cost and effort; null clears them
+const estimateValidators = [
+    body('priority').optional({ values: 'null' }).isInt({ min: 1, max: 5 }).withMessage('Priority must be between 1 and 5').toInt(),
+    body('estimatedCost').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('estimatedCost must be a non-negative number').toFloat(),
+    actualCostValidator,
+    body('currency').optional().isString().matches(CURRENCY_PATTERN).withMessage('Currency must be a 3-letter ISO code'),
+    body('estimatedHours').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('estimatedHours must be a non-negative number').toFloat()
+];
+
+// { name, lat, lng }; null removes the location
+const locationValidators = [
+    body('location').optional({ values: 'null' }).isObject().withMessage('Location must be an object with lat and lng'),
+    body('location.lat')
+        .if(body('location').exists({ values: 'null' }))
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    body('location.lng')
+        .if(body('location').exists({ values: 'null' }))
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    body('location.name').optional({ values: 'null' }).isString().withMessage('Location name must be text')
+];
+
+const prerequisiteValidators = [
+    body('prerequisiteIds').optional().isArray({ max: 50 }).withMessage('prerequisiteIds must be an array of up to 50 item ids'),
+    body('prerequisiteIds.*').isString().notEmpty().withMessage('Prerequisite ids must be strings')
+];
+
+// Complete even though prerequisites are still open
+const forceValidator = body('force').optional().isBoolean().withMessage('force must be true or false').toBoolean();
+
+// Paging through a change history, newest first
+const revisionValidators = [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+    query('before').optional().isString().withMessage('before must be a revision id'),
+    validate
+];
+
+const SORT_KEYS = Object.keys(ITEM_SORTS);
+
+// How often an item repeats; null makes it a one-off goal again
+const recurrenceValidator = body('recurrence')
+    .optional({ values: 'null' })
+    .isIn(PERIOD_FREQUENCIES)
+    .withMessage(`Recurrence must be one of: ${PERIOD_FREQUENCIES.join(', ')}`);
+
+// Completion details sent when completing an item or editing them later
+const completionValidators = [
+    body('completedAt').optional({ values: 'null' }).isISO8601().withMessage('completedAt must be a valid date'),
+    body('rating').optional({ values: 'null' }).isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('note').optional({ values: 'null' }).isString().withMessage('Note must be text'),
+    body('photos').optional({ values: 'null' }).isArray().withMessage('Photos must be an array of URLs'),
+    body('photos.*').isString().withMessage('Photos must be an array of URLs')
+];
+
+router.get(
+    '/',
+    requireSpaceRole('viewer'),
+    [
+        query('due').optional().isIn(['overdue', 'upcoming']).withMessage('due must be overdue or upcoming'),
+        query('withinDays').optional().isInt({ min: 1 }).withMessage('withinDays must be a positive integer'),
+        query('tags').optional().custom(value => [].concat(value).every(tag => typeof tag === 'string')).withMessage('tags must be a comma-separated list'),
+        query('tagMatch').optional().isIn(['any', 'all']).withMessage('tagMatch must be any or all'),
+        query('minPriority').optional().isInt({ min: 1, max: 5 }).withMessage('minPriority must be between 1 and 5'),
+        query('maxCost').optional().isFloat({ min: 0 }).withMessage('maxCost must be a non-negative number'),
+        query('currency').optional().isString().matches(CURRENCY_PATTERN).withMessage('currency must be a 3-letter ISO code'),
+        query('maxHours').optional().isFloat({ min: 0 }).withMessage('maxHours must be a non-negative number'),
+        query('sortBy').optional().isIn(SORT_KEYS).withMessage(`sortBy must be one of: ${SORT_KEYS.join(', ')}`),
+        query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+        validate
+    ],
+    getAllItems
+);
+router.get('/available', requireSpaceRole('viewer'), getAvailableItems);
+router.get('/:itemId', requireSpaceRole('viewer'), getItem);
+router.get('/:itemId/history', requireSpaceRole('viewer'), getItemHistory);
+router.get('/:itemId/revisions', requireSpaceRole('viewer'), revisionValidators, getItemRevisions);
+
+const BATCH_ACTIONS = ['complete', 'uncomplete', 'move', 'edit', 'delete'];
+
+router.post(
+    '/batch',
+    requireSpaceRole('editor'),
+    [
+        body('action').isIn(BATCH_ACTIONS).withMessage(`Action must be one of: ${BATCH_ACTIONS.join(', ')}`),
+        body('itemIds').isArray({ min: 1, max: 500 }).withMessage('itemIds must list 1-500 item ids'),
+        body('itemIds.*').isString().notEmpty().withMessage('Item ids must be strings'),
+        body('categoryId').optional({ values: 'null' }).isString().withMessage('categoryId must be a string'),
+        body('targetSpaceId').optional().isString().withMessage('targetSpaceId must be a string'),
+        body('text').optional().isString().notEmpty().withMessage('Item text cannot be empty'),
+        body('addTags').optional().isArray().withMessage('addTags must be an array'),
+        body('addTags.*').isString().isLength({ min: 1, max: 50 }).withMessage('Tags must be 1-50 characters'),
+        body('removeTags').optional().isArray().withMessage('removeTags must be an array'),
+        body('removeTags.*').isString().withMessage('Tags must be strings'),
+        ...dateValidators,
+        ...tagValidators,
+        ...estimateValidators,
+        ...completionValidators,
+        forceValidator,
+        validate
+    ],
+    requireTargetSpace,
+    batchItems
+);
 
 router.post(
     '/',
+    requireSpaceRole('editor'),
     [
         body('text').notEmpty().withMessage('Item text is required'),
+        ...dateValidators,
+        ...tagValidators,
+        ...stepValidators,
+        ...estimateValidators,
+        ...locationValidators,
+        ...prerequisiteValidators,
+        recurrenceValidator,
         validate
     ],
     createItem
 );
 
-router.put('/:itemId', updateItem);
-router.patch('/:itemId/toggle', toggleItemCompletion);
-router.patch('/:itemId/move', moveItem);
-router.delete('/:itemId', deleteItem);
+router.put(
+    '/:itemId',
+    requireSpaceRole('editor'),
+    [
+        body('text').optional().isString().notEmpty().withMessage('Item text cannot be empty'),
+        ...dateValidators,
+        ...tagValidators,
+        body('autoCompleteSteps').optional().isBoolean().withMessage('autoCompleteSteps must be true or false').toBoolean(),
+        ...estimateValidators,
+        ...locationValidators,
+        ...prerequisiteValidators,
+        recurrenceValidator,
+        validate
+    ],
+    updateItem
+);
+router.patch(
+    '/:itemId/toggle',
+    requireSpaceRole('editor'),
+    [
+        ...completionValidators,
+        actualCostValidator,
+        forceValidator,
+        validate
+    ],
+    toggleItemCompletion
+);
+
+router.patch(
+    '/:itemId/completion',
+    requireSpaceRole('editor'),
+    [
+        ...completionValidators,
+        actualCostValidator,
+        validate
+    ],
+    updateCompletionDetails
+);
+router.patch(
+    '/:itemId/move',
+    requireSpaceRole('editor'),
+    [
+        ...transferValidators,
+        validate
+    ],
+    requireTargetSpace,
+    moveItem
+);
+
+// Copying only needs read access to the source space
+router.post(
+    '/:itemId/copy',
+    requireSpaceRole('viewer'),
+    [
+        ...transferValidators,
+        validate
+    ],
+    requireTargetSpace,
+    copyItem
+);
+router.delete('/:itemId', requireSpaceRole('editor'), deleteItem);
+
+// Checklist steps of an item
+router.post(
+    '/:itemId/steps',
+    requireSpaceRole('editor'),
+    [
+        body('text').isString().notEmpty().withMessage('Step text is required'),
+        body('position').optional().isInt({ min: 0 }).withMessage('position must be a non-negative integer').toInt(),
+        validate
+    ],
+    addStep
+);
+router.patch(
+    '/:itemId/steps/reorder',
+    requireSpaceRole('editor'),
+    [
+        body('stepIds').isArray().withMessage('stepIds must be an array'),
+        validate
+    ],
+    reorderSteps
+);
+router.put(
+    '/:itemId/steps/:stepId',
+    requireSpaceRole('editor'),
+    [
+        body('text').isString().notEmpty().withMessage('Step text is required'),
+        validate
+    ],
+    updateStep
+);
+router.patch('/:itemId/steps/:stepId/toggle', requireSpaceRole('editor'), toggleStep);
+router.delete('/:itemId/steps/:stepId', requireSpaceRole('editor'), deleteStep);
 
 // Reorder items within a category
-router.patch('/categories/:categoryId/items/reorder', reorderItems);
+router.patch('/categories/:categoryId/items/reorder', requireSpaceRole('editor'), reorderItems);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const { query } = require('express-validator');
+const validate = require('../middlewares/validate');
+const { getNearby } = require('../controllers/nearbyController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get(
+    '/',
+    [
+        query('lat').isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90'),
+        query('lng').isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180'),
+        query('radius').optional().isInt({ min: 1, max: 20000000 }).withMessage('radius must be a distance in meters'),
+        query('includeCompleted').optional().isIn(['true', 'false']).withMessage('includeCompleted must be true or false'),
+        query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+        validate
+    ],
+    getNearby
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getSharedSpace } = require('../controllers/publicController');
+
+const router = express.Router();
+
+// No authentication: these routes serve published share links
+router.get('/spaces/:shareToken', getSharedSpace);
+
+module.exports = router;
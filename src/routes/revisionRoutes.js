@@ -0,0 +1,26 @@
+const express = require('express');
+const { query } = require('express-validator');
+const validate = require('../middlewares/validate');
+const { getRecentRevisions, undoLastAction } = require('../controllers/revisionController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+const ENTITY_TYPES = ['space', 'category', 'item'];
+
+// All routes are protected
+router.use(protect);
+
+router.get(
+    '/',
+    [
+        query('entityType').optional().isIn(ENTITY_TYPES).withMessage(`entityType must be one of: ${ENTITY_TYPES.join(', ')}`),
+        query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+        query('before').optional().isString().withMessage('before must be a revision id'),
+        validate
+    ],
+    getRecentRevisions
+);
+router.post('/undo', undoLastAction);
+
+module.exports = router;
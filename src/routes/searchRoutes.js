@@ -0,0 +1,24 @@
+const express = require('express');
+const { query } = require('express-validator');
+const validate = require('../middlewares/validate');
+const { search } = require('../controllers/searchController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get(
+    '/',
+    [
+        query('q').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Search query is required'),
+        query('isCompleted').optional().isIn(['true', 'false']).withMessage('isCompleted must be true or false'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+        query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more'),
+        validate
+    ],
+    search
+);
+
+module.exports = router;
@@ -1,29 +1,45 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const validate = require('../middlewares/validate');
 const {
     getAllSpaces,
     getSpace,
+    exportSpaceGeoJSON,
     createSpace,
+    duplicateSpace,
+    saveSpaceAsTemplate,
     updateSpace,
     toggleSpaceVisibility,
     reorderSpaces,
-    deleteSpace
+    deleteSpace,
+    getMembers,
+    addMember,
+    updateMemberRole,
+    removeMember,
+    createShareLink,
+    revokeShareLink
 } = require('../controllers/spaceController');
+const { getSpaceRevisions, revertRevision } = require('../controllers/revisionController');
 const { protect } = require('../middlewares/auth');
+const { requireSpaceRole } = require('../middlewares/spaceAccess');
+const Space = require('../models/Space');
 
 const router = express.Router();
 
+const REVISION_ENTITY_TYPES = ['space', 'category', 'item'];
+
 // All routes are protected
 router.use(protect);
 
 router.get('/', getAllSpaces);
-router.get('/:spaceId', getSpace);
+router.get('/:spaceId', requireSpaceRole('viewer'), getSpace);
+router.get('/:spaceId/geojson', requireSpaceRole('viewer'), exportSpaceGeoJSON);
 
 router.post(
     '/',
     [
         body('name').notEmpty().withMessage('Space name is required'),
+        body('templateId').optional().isString().withMessage('templateId must be a string'),
         validate
     ],
     createSpace
@@ -31,6 +47,7 @@ router.post(
 
 router.put(
     '/:spaceId',
+    requireSpaceRole('editor'),
     [
         body('name').notEmpty().withMessage('Space name is required'),
         validate
@@ -38,8 +55,77 @@ router.put(
     updateSpace
 );
 
-router.patch('/:spaceId/visibility', toggleSpaceVisibility);
+router.patch('/:spaceId/visibility', requireSpaceRole('editor'), toggleSpaceVisibility);
 router.patch('/reorder', reorderSpaces);
-router.delete('/:spaceId', deleteSpace);
+router.delete('/:spaceId', requireSpaceRole('owner'), deleteSpace);
+
+// Copy into a new space owned by the current user
+router.post(
+    '/:spaceId/duplicate',
+    requireSpaceRole('viewer'),
+    [
+        body('name').optional().notEmpty().withMessage('Space name cannot be empty'),
+        body('resetCompletion').optional().isBoolean().withMessage('resetCompletion must be true or false').toBoolean(),
+        body('skipCompleted').optional().isBoolean().withMessage('skipCompleted must be true or false').toBoolean(),
+        validate
+    ],
+    duplicateSpace
+);
+
+// Save as a reusable template
+router.post(
+    '/:spaceId/template',
+    requireSpaceRole('viewer'),
+    [
+        body('name').optional().notEmpty().withMessage('Template name cannot be empty'),
+        body('includeItems').optional().isBoolean().withMessage('includeItems must be true or false').toBoolean(),
+        validate
+    ],
+    saveSpaceAsTemplate
+);
+
+// Public share link
+router.post('/:spaceId/share', requireSpaceRole('owner'), createShareLink);
+router.delete('/:spaceId/share', requireSpaceRole('owner'), revokeShareLink);
+
+// Collaborators
+router.get('/:spaceId/members', requireSpaceRole('viewer'), getMembers);
+
+router.post(
+    '/:spaceId/members',
+    requireSpaceRole('owner'),
+    [
+        body('email').isEmail().withMessage('Please provide a valid email'),
+        body('role').isIn(Space.ROLES).withMessage(`Role must be one of: ${Space.ROLES.join(', ')}`),
+        validate
+    ],
+    addMember
+);
+
+router.patch(
+    '/:spaceId/members/:memberId',
+    requireSpaceRole('owner'),
+    [
+        body('role').isIn(Space.ROLES).withMessage(`Role must be one of: ${Space.ROLES.join(', ')}`),
+        validate
+    ],
+    updateMemberRole
+);
+
+router.delete('/:spaceId/members/:memberId', requireSpaceRole('viewer'), removeMember);
+
+// Change history of the space and everything in it
+router.get(
+    '/:spaceId/revisions',
+    requireSpaceRole('viewer'),
+    [
+        query('entityType').optional().isIn(REVISION_ENTITY_TYPES).withMessage(`entityType must be one of: ${REVISION_ENTITY_TYPES.join(', ')}`),
+        query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+        query('before').optional().isString().withMessage('before must be a revision id'),
+        validate
+    ],
+    getSpaceRevisions
+);
+router.post('/:spaceId/revisions/:revisionId/revert', requireSpaceRole('editor'), revertRevision);
 
 module.exports = router;
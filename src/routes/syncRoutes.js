@@ -1,17 +1,38 @@
 const express = require('express');
+const { body } = require('express-validator');
+const validate = require('../middlewares/validate');
 const {
     syncData,
     getBackup,
     restoreBackup
 } = require('../controllers/syncController');
 const { protect } = require('../middlewares/auth');
+const { CONFLICT_STRATEGIES, parseTimestamp } = require('../utils/sync');
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-router.post('/', syncData);
+router.post(
+    '/',
+    [
+        body('lastSyncTimestamp')
+            .optional({ values: 'null' })
+            .custom(value => parseTimestamp(value) !== null)
+            .withMessage('lastSyncTimestamp must be a valid date'),
+        body('conflictResolution')
+            .optional()
+            .isIn(CONFLICT_STRATEGIES)
+            .withMessage(`conflictResolution must be one of: ${CONFLICT_STRATEGIES.join(', ')}`),
+        body('spaces').optional().isArray().withMessage('spaces must be an array'),
+        body('categories').optional().isArray().withMessage('categories must be an array'),
+        body('items').optional().isArray().withMessage('items must be an array'),
+        body('deleted').optional().isObject().withMessage('deleted must be an object'),
+        validate
+    ],
+    syncData
+);
 router.get('/backup', getBackup);
 router.post('/backup/restore', restoreBackup);
 
@@ -0,0 +1,41 @@
+const express = require('express');
+const { body } = require('express-validator');
+const validate = require('../middlewares/validate');
+const {
+    getAllTags,
+    renameTag,
+    mergeTags,
+    deleteTag
+} = require('../controllers/tagController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getAllTags);
+
+router.post(
+    '/merge',
+    [
+        body('tags').isArray({ min: 1 }).withMessage('Tags to merge are required'),
+        body('tags.*').isString().withMessage('Tags must be strings'),
+        body('into').isString().notEmpty().withMessage('Target tag is required'),
+        validate
+    ],
+    mergeTags
+);
+
+router.patch(
+    '/:tag',
+    [
+        body('name').isString().isLength({ min: 1, max: 50 }).withMessage('New tag name must be 1-50 characters'),
+        validate
+    ],
+    renameTag
+);
+
+router.delete('/:tag', deleteTag);
+
+module.exports = router;
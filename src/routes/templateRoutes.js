@@ -0,0 +1,52 @@
+const express = require('express');
+const { body } = require('express-validator');
+const validate = require('../middlewares/validate');
+const {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+} = require('../controllers/templateController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Category list shared by create and update
+const categoryValidators = [
+    body('categories').optional().isArray({ max: 50 }).withMessage('Categories must be an array of up to 50'),
+    body('categories.*.name').isString().notEmpty().withMessage('Category name is required'),
+    body('categories.*.items').optional().isArray({ max: 100 }).withMessage('Items must be an array of up to 100'),
+    body('categories.*.items.*.text').isString().notEmpty().withMessage('Item text is required'),
+    body('categories.*.children').optional().isArray({ max: 50 }).withMessage('Subcategories must be an array of up to 50')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getTemplates);
+router.get('/:templateId', getTemplate);
+
+router.post(
+    '/',
+    [
+        body('name').notEmpty().withMessage('Template name is required'),
+        ...categoryValidators,
+        validate
+    ],
+    createTemplate
+);
+
+router.put(
+    '/:templateId',
+    [
+        body('name').optional().notEmpty().withMessage('Template name cannot be empty'),
+        ...categoryValidators,
+        validate
+    ],
+    updateTemplate
+);
+
+router.delete('/:templateId', deleteTemplate);
+
+module.exports = router;
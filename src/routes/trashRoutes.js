@@ -0,0 +1,37 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const validate = require('../middlewares/validate');
+const {
+    getTrash,
+    restoreTrashed,
+    purgeTrashed,
+    emptyTrash
+} = require('../controllers/trashController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+const TRASH_TYPES = ['spaces', 'categories', 'items'];
+
+const trashedRecordValidators = [
+    param('type').isIn(TRASH_TYPES).withMessage(`Type must be one of: ${TRASH_TYPES.join(', ')}`),
+    validate
+];
+
+// All routes are protected
+router.use(protect);
+
+router.get(
+    '/',
+    [
+        query('type').optional().isIn(TRASH_TYPES).withMessage(`Type must be one of: ${TRASH_TYPES.join(', ')}`),
+        validate
+    ],
+    getTrash
+);
+router.delete('/', emptyTrash);
+
+router.post('/:type/:id/restore', trashedRecordValidators, restoreTrashed);
+router.delete('/:type/:id', trashedRecordValidators, purgeTrashed);
+
+module.exports = router;
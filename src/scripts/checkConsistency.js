@@ -0,0 +1,54 @@
+// Reports categories and items whose space, parent category or category no
+// longer exists.
+//
+// Usage: npm run check:consistency                 report only
+//        npm run check:consistency -- --fix         repair what was found
+//        npm run check:consistency -- --user <id>   limit to one user's data
+//
+// Exits with status 2 when orphans were found and not repaired, so it can run
+// as a periodic health check.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { findOrphans, repairOrphans } = require('../utils/consistency');
+
+const readOption = (name) => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const run = async ({ fix, userId }) => {
+    const orphans = await findOrphans({ userId });
+    const total = orphans.categories.length + orphans.items.length;
+
+    orphans.categories.forEach(category => {
+        console.log(`category ${category.categoryId}: ${category.reason} (space ${category.spaceId}, parent ${category.parentId || 'none'})`);
+    });
+    orphans.items.forEach(item => {
+        console.log(`item ${item.itemId}: ${item.reason} (space ${item.spaceId}, category ${item.categoryId})`);
+    });
+    console.log(`${orphans.categories.length} orphaned categories, ${orphans.items.length} orphaned items`);
+
+    if (total === 0 || !fix) {
+        return total;
+    }
+
+    const summary = await repairOrphans(orphans);
+    console.log(
+        `Repaired: ${summary.categoriesDeleted} categories deleted, ` +
+        `${summary.categoriesReparented} categories moved to the top level, ` +
+        `${summary.itemsDeleted} items deleted, ${summary.itemsUncategorized} items uncategorized`
+    );
+    return 0;
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+    .then(() => run({ fix: process.argv.includes('--fix'), userId: readOption('--user') }))
+    .then(async (remaining) => {
+        await mongoose.disconnect();
+        process.exit(remaining > 0 ? 2 : 0);
+    })
+    .catch(async (error) => {
+        console.error(`Consistency check failed: ${error.message}`);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -5,6 +5,11 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
 const errorHandler = require('./middlewares/errorHandler');
+const { scheduleJob } = require('./utils/scheduler');
+const { getTransport } = require('./utils/mailer');
+const { processDueReminders } = require('./utils/reminders');
+const { purgeExpiredTrash } = require('./utils/deletion');
+const { rollOverRecurringItems } = require('./utils/recurrence');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -14,6 +19,13 @@ const itemRoutes = require('./routes/itemRoutes');
 const externalRoutes = require('./routes/externalRoutes');
 const syncRoutes = require('./routes/syncRoutes');
 const statsRoutes = require('./routes/statsRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const nearbyRoutes = require('./routes/nearbyRoutes');
+const revisionRoutes = require('./routes/revisionRoutes');
 
 // Initialize express app
 const app = express();
@@ -67,6 +79,13 @@ app.use('/api/v1/spaces/:spaceId/items', itemRoutes);
 app.use('/api/v1/external', externalRoutes);
 app.use('/api/v1/sync', syncRoutes);
 app.use('/api/v1/stats', statsRoutes);
+app.use('/api/v1/public', publicRoutes);
+app.use('/api/v1/tags', tagRoutes);
+app.use('/api/v1/search', searchRoutes);
+app.use('/api/v1/trash', trashRoutes);
+app.use('/api/v1/templates', templateRoutes);
+app.use('/api/v1/nearby', nearbyRoutes);
+app.use('/api/v1/revisions', revisionRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -82,6 +101,16 @@ app.use((req, res) => {
 // Error handler (must be last)
 app.use(errorHandler);
 
+// Fail at startup rather than on the first email when no mail transport is configured
+getTransport();
+
+// Background jobs
+if (process.env.REMINDERS_ENABLED !== 'false') {
+    scheduleJob('reminders', parseInt(process.env.REMINDER_INTERVAL_MS) || 60000, processDueReminders);
+}
+scheduleJob('trash-purge', parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000, purgeExpiredTrash);
+scheduleJob('recurrence-rollover', parseInt(process.env.RECURRENCE_INTERVAL_MS) || 60 * 60 * 1000, rollOverRecurringItems);
+
 // Start server
 const PORT = process.env.PORT || 5000;
 const HOST = '0.0.0.0'; // Bind to all network interfaces
@@ -0,0 +1,61 @@
+// Planned vs. spent totals for a set of items. Costs are kept per currency,
+// since they can't be added up across currencies; spent counts completed items
+// at their actual cost, falling back to the estimate.
+const summarizeBudget = (items) => {
+    const costs = new Map();
+    const hours = { planned: 0, spent: 0 };
+
+    items.forEach(item => {
+        if (item.estimatedHours !== null && item.estimatedHours !== undefined) {
+            hours.planned += item.estimatedHours;
+            if (item.isCompleted) {
+                hours.spent += item.estimatedHours;
+            }
+        }
+
+        const estimated = item.estimatedCost ?? null;
+        const spent = item.isCompleted ? item.actualCost ?? estimated : null;
+        if (estimated === null && spent === null) {
+            return;
+        }
+
+        const currency = item.currency || 'USD';
+        const totals = costs.get(currency) || { currency, planned: 0, spent: 0 };
+        totals.planned += estimated || 0;
+        totals.spent += spent || 0;
+        costs.set(currency, totals);
+    });
+
+    return {
+        costs: [...costs.values()]
+            .sort((a, b) => a.currency.localeCompare(b.currency))
+            .map(totals => ({ ...totals, remaining: totals.planned - totals.spent })),
+        hours
+    };
+};
+
+// Add up budgets from summarizeBudget, e.g. of a category and its subcategories
+const combineBudgets = (budgets) => {
+    const costs = new Map();
+    const hours = { planned: 0, spent: 0 };
+
+    budgets.forEach(budget => {
+        hours.planned += budget.hours.planned;
+        hours.spent += budget.hours.spent;
+        budget.costs.forEach(({ currency, planned, spent }) => {
+            const totals = costs.get(currency) || { currency, planned: 0, spent: 0 };
+            totals.planned += planned;
+            totals.spent += spent;
+            costs.set(currency, totals);
+        });
+    });
+
+    return {
+        costs: [...costs.values()]
+            .sort((a, b) => a.currency.localeCompare(b.currency))
+            .map(totals => ({ ...totals, remaining: totals.planned - totals.spent })),
+        hours
+    };
+};
+
+module.exports = { summarizeBudget, combineBudgets };
@@ -0,0 +1,131 @@
+const Category = require('../models/Category');
+const { combineBudgets } = require('./budget');
+
+// Categories form a tree inside a space through parentId. These helpers work on
+// plain nodes shaped like { id, parentId, ... } so they can be used on formatted
+// API output as well as on documents mapped to that shape.
+
+// Ids of the categories under categoryId (not including it), at any depth
+const getDescendantIds = async (spaceId, categoryId) => {
+    const categories = await Category.find({ spaceId }).select('categoryId parentId');
+    const childrenOf = new Map();
+    categories.forEach(category => {
+        const siblings = childrenOf.get(category.parentId) || [];
+        siblings.push(category.categoryId);
+        childrenOf.set(category.parentId, siblings);
+    });
+
+    const descendants = [];
+    const queue = [...(childrenOf.get(categoryId) || [])];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        descendants.push(id);
+        queue.push(...(childrenOf.get(id) || []));
+    }
+    return descendants;
+};
+
+// Check that parentId can become the parent of categoryId (pass null for a new
+// category). Returns { status, code, message } describing the problem, or null
+// when the parent is fine.
+const validateParent = async (spaceId, categoryId, parentId) => {
+    if (!parentId) {
+        return null;
+    }
+
+    if (!(await Category.exists({ categoryId: parentId, spaceId }))) {
+        return { status: 404, code: 'NOT_FOUND', message: 'Parent category not found' };
+    }
+
+    if (categoryId && (parentId === categoryId || (await getDescendantIds(spaceId, categoryId)).includes(parentId))) {
+        return {
+            status: 400,
+            code: 'INVALID_PARENT',
+            message: 'A category cannot be moved under itself or one of its subcategories'
+        };
+    }
+
+    return null;
+};
+
+// Drop categories that are hidden or sit under a hidden ancestor
+const withoutHiddenBranches = (nodes) => {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const isVisible = (node, seen = new Set()) => {
+        if (node.isHidden) {
+            return false;
+        }
+        const parent = byId.get(node.parentId);
+        if (!parent || seen.has(parent.id)) {
+            return true;
+        }
+        seen.add(node.id);
+        return isVisible(parent, seen);
+    };
+    return nodes.filter(node => isVisible(node));
+};
+
+// Add a `rollup` to every node that counts its own items plus those of all of
+// its subcategories. Nodes need totalCount, completedCount and progress; nodes
+// with a budget get a combined one too.
+const addRollups = (nodes) => {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const done = new Map(nodes.map(node => [node.id, 0]));
+    const budgets = new Map(nodes.map(node => [node.id, []]));
+    nodes.forEach(node => {
+        node.rollup = { totalCount: 0, completedCount: 0, progress: 0 };
+    });
+
+    nodes.forEach(node => {
+        const seen = new Set();
+        let current = node;
+        while (current && !seen.has(current.id)) {
+            seen.add(current.id);
+            current.rollup.totalCount += node.totalCount;
+            current.rollup.completedCount += node.completedCount;
+            // Progress is weighted by item count, keeping partly done items
+            done.set(current.id, done.get(current.id) + node.progress * node.totalCount);
+            if (node.budget) {
+                budgets.get(current.id).push(node.budget);
+            }
+            current = byId.get(current.parentId);
+        }
+    });
+
+    nodes.forEach(node => {
+        const { totalCount } = node.rollup;
+        node.rollup.progress = totalCount > 0 ? done.get(node.id) / totalCount : 0;
+        if (node.budget) {
+            node.rollup.budget = combineBudgets(budgets.get(node.id));
+        }
+    });
+
+    return nodes;
+};
+
+// Nest flat nodes into a tree, keeping their order among siblings. Nodes whose
+// parent is not in the list become roots.
+const nestCategories = (nodes) => {
+    const copies = nodes.map(node => ({ ...node, children: [] }));
+    const byId = new Map(copies.map(node => [node.id, node]));
+    const roots = [];
+
+    copies.forEach(node => {
+        const parent = byId.get(node.parentId);
+        if (parent && parent !== node) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    return roots;
+};
+
+module.exports = {
+    getDescendantIds,
+    validateParent,
+    withoutHiddenBranches,
+    addRollups,
+    nestCategories
+};
@@ -0,0 +1,152 @@
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const Tombstone = require('../models/Tombstone');
+const { withTransaction } = require('./transaction');
+
+// Find live records whose parent is gone or in the trash:
+// - categories whose space does not exist
+// - subcategories whose parent does not exist or lives in another space
+// - items whose space does not exist
+// - items pointing at a category that does not exist or lives in another space
+const findOrphans = async ({ userId } = {}) => {
+    const match = userId ? { userId } : {};
+
+    const categories = await Category.aggregate([
+        { $match: match },
+        {
+            $lookup: {
+                from: Space.collection.name,
+                localField: 'spaceId',
+                foreignField: 'spaceId',
+                pipeline: [{ $match: { deletedAt: null } }],
+                as: 'space'
+            }
+        },
+        {
+            $lookup: {
+                from: Category.collection.name,
+                localField: 'parentId',
+                foreignField: 'categoryId',
+                pipeline: [{ $match: { deletedAt: null } }],
+                as: 'parent'
+            }
+        },
+        {
+            $addFields: {
+                reason: {
+                    $switch: {
+                        branches: [
+                            { case: { $eq: [{ $size: '$space' }, 0] }, then: 'missing_space' },
+                            {
+                                case: {
+                                    $and: [
+                                        { $ne: [{ $ifNull: ['$parentId', null] }, null] },
+                                        { $ne: [{ $arrayElemAt: ['$parent.spaceId', 0] }, '$spaceId'] }
+                                    ]
+                                },
+                                then: 'missing_parent'
+                            }
+                        ],
+                        default: null
+                    }
+                }
+            }
+        },
+        { $match: { reason: { $ne: null } } },
+        { $project: { _id: 0, categoryId: 1, spaceId: 1, parentId: 1, userId: 1, reason: 1 } }
+    ]);
+
+    const items = await Item.aggregate([
+        { $match: match },
+        {
+            $lookup: {
+                from: Space.collection.name,
+                localField: 'spaceId',
+                foreignField: 'spaceId',
+                pipeline: [{ $match: { deletedAt: null } }],
+                as: 'space'
+            }
+        },
+        {
+            $lookup: {
+                from: Category.collection.name,
+                localField: 'categoryId',
+                foreignField: 'categoryId',
+                pipeline: [{ $match: { deletedAt: null } }],
+                as: 'category'
+            }
+        },
+        {
+            $addFields: {
+                reason: {
+                    $switch: {
+                        branches: [
+                            { case: { $eq: [{ $size: '$space' }, 0] }, then: 'missing_space' },
+                            {
+                                case: {
+                                    $and: [
+                                        { $ne: ['$categoryId', null] },
+                                        { $eq: [{ $size: '$category' }, 0] }
+                                    ]
+                                },
+                                then: 'missing_category'
+                            },
+                            {
+                                case: {
+                                    $and: [
+                                        { $ne: ['$categoryId', null] },
+                                        { $ne: [{ $arrayElemAt: ['$category.spaceId', 0] }, '$spaceId'] }
+                                    ]
+                                },
+                                then: 'category_in_other_space'
+                            }
+                        ],
+                        default: null
+                    }
+                }
+            }
+        },
+        { $match: { reason: { $ne: null } } },
+        { $project: { _id: 0, itemId: 1, spaceId: 1, categoryId: 1, userId: 1, reason: 1 } }
+    ]);
+
+    return { categories, items };
+};
+
+// Repair what findOrphans reported, in one transaction. Records without a space
+// are deleted (with tombstones, like any other deletion); items whose category
+// is gone but whose space still exists are kept as uncategorized, and
+// subcategories whose parent is gone move to the top level.
+const repairOrphans = (orphans) => withTransaction(async () => {
+    const categoriesToDelete = orphans.categories.filter(category => category.reason === 'missing_space');
+    const categoriesToReparent = orphans.categories.filter(category => category.reason !== 'missing_space');
+    const itemsToDelete = orphans.items.filter(item => item.reason === 'missing_space');
+    const itemsToUncategorize = orphans.items.filter(item => item.reason !== 'missing_space');
+
+    await Tombstone.record('category', categoriesToDelete);
+    await Tombstone.record('item', itemsToDelete);
+
+    await Category.deleteMany({ categoryId: { $in: categoriesToDelete.map(category => category.categoryId) } });
+    await Category.updateMany(
+        { categoryId: { $in: categoriesToReparent.map(category => category.categoryId) } },
+        { $set: { parentId: null } }
+    );
+    await Item.deleteMany({ itemId: { $in: itemsToDelete.map(item => item.itemId) } });
+    await Item.updateMany(
+        { itemId: { $in: itemsToUncategorize.map(item => item.itemId) } },
+        { $set: { categoryId: null } }
+    );
+
+    return {
+        categoriesDeleted: categoriesToDelete.length,
+        categoriesReparented: categoriesToReparent.length,
+        itemsDeleted: itemsToDelete.length,
+        itemsUncategorized: itemsToUncategorize.length
+    };
+});
+
+module.exports = {
+    findOrphans,
+    repairOrphans
+};
@@ -0,0 +1,232 @@
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const Tombstone = require('../models/Tombstone');
+const { withTransaction } = require('./transaction');
+const { getDescendantIds } = require('./categoryTree');
+
+// Trashed records are purged for good after this many days
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const TRASH_MODELS = {
+    space: Space,
+    category: Category,
+    item: Item
+};
+
+// Members of a space, who also need to receive its tombstones
+const getSharedWith = async (spaceId) => {
+    const space = await Space.findOne({ spaceId });
+    return space ? space.members.map(member => member.userId) : [];
+};
+
+// Tombstones for records that still exist but that some users can no longer
+// see (they left the space, or the records moved to a space they aren't in),
+// so those users' devices drop them. Sync doesn't pass these tombstones on to
+// users who can still see the records.
+const recordLostAccess = async (userIds, { spaces = [], categories = [], items = [] }) => {
+    if (userIds.length === 0) {
+        return;
+    }
+    await Tombstone.record('space', spaces, { sharedWith: userIds });
+    await Tombstone.record('category', categories, { sharedWith: userIds });
+    await Tombstone.record('item', items, { sharedWith: userIds });
+};
+
+const trashFields = (rootId, deletedBy) => ({
+    deletedAt: new Date(),
+    deletedBy: deletedBy || null,
+    trashRootId: rootId
+});
+
+const RESTORED_FIELDS = {
+    deletedAt: null,
+    deletedBy: null,
+    trashRootId: null
+};
+
+// Move a space with all of its categories and items to the trash, leaving
+// tombstones so devices that were offline learn about the deletion on their
+// next sync. Each cascade runs in one transaction, so a failure leaves nothing
+// half-deleted.
+const deleteSpaceCascade = (space, deletedBy) => withTransaction(async () => {
+    const categories = await Category.find({ spaceId: space.spaceId });
+    const items = await Item.find({ spaceId: space.spaceId });
+    const sharedWith = space.members.map(member => member.userId);
+
+    await Tombstone.record('space', [space], { sharedWith });
+    await Tombstone.record('category', categories, { sharedWith });
+    await Tombstone.record('item', items, { sharedWith });
+
+    const fields = trashFields(space.spaceId, deletedBy);
+    await Space.updateOne({ spaceId: space.spaceId }, { $set: fields });
+    await Category.updateMany({ spaceId: space.spaceId }, { $set: fields });
+    await Item.updateMany({ spaceId: space.spaceId }, { $set: fields });
+
+    return { categoriesDeleted: categories.length, itemsDeleted: items.length };
+});
+
+// Move a category with its subcategories and all of their items to the trash
+const deleteCategoryCascade = (category, deletedBy) => withTransaction(async () => {
+    const descendants = await Category.find({
+        categoryId: { $in: await getDescendantIds(category.spaceId, category.categoryId) }
+    });
+    const categoryIds = [category.categoryId, ...descendants.map(descendant => descendant.categoryId)];
+    const items = await Item.find({ categoryId: { $in: categoryIds } });
+    const sharedWith = await getSharedWith(category.spaceId);
+
+    await Tombstone.record('category', [category, ...descendants], { sharedWith });
+    await Tombstone.record('item', items, { sharedWith });
+
+    const fields = trashFields(category.categoryId, deletedBy);
+    await Category.updateMany({ categoryId: { $in: categoryIds } }, { $set: fields });
+    await Item.updateMany({ categoryId: { $in: categoryIds } }, { $set: fields });
+
+    return { subcategoriesDeleted: descendants.length, itemsDeleted: items.length };
+});
+
+// What can happen to the items of a deleted category
+const CATEGORY_ITEM_STRATEGIES = ['delete', 'move', 'uncategorize'];
+
+// Delete a category, deciding what happens to its items: 'delete' sends them to
+// the trash with it, 'move' reassigns them to targetCategoryId and
+// 'uncategorize' clears their category. Moved items keep their relative order
+// and are placed after the items already in the destination. Subcategories are
+// trashed along with 'delete'; otherwise they move up to the category's parent.
+const deleteCategoryWithItems = (category, deletedBy, options = {}) => withTransaction(async () => {
+    const { strategy = 'delete', targetCategoryId = null } = options;
+    let itemsMoved = 0;
+    let subcategoriesMoved = 0;
+
+    if (strategy !== 'delete') {
+        const lastSibling = await Category.findOne({ spaceId: category.spaceId, parentId: category.parentId })
+            .sort({ order: -1 })
+            .select('order');
+        const siblingOffset = lastSibling ? lastSibling.order + 1 : 0;
+
+        const { modifiedCount: childrenMoved } = await Category.updateMany(
+            { spaceId: category.spaceId, parentId: category.categoryId },
+            [{ $set: { parentId: category.parentId, order: { $add: ['$order', siblingOffset] } } }]
+        );
+        subcategoriesMoved = childrenMoved;
+
+        const destination = strategy === 'move' ? targetCategoryId : null;
+        const last = await Item.findOne({ spaceId: category.spaceId, categoryId: destination })
+            .sort({ order: -1 })
+            .select('order');
+        const offset = last ? last.order + 1 : 0;
+
+        const { modifiedCount } = await Item.updateMany(
+            { categoryId: category.categoryId },
+            [{ $set: { categoryId: destination, order: { $add: ['$order', offset] } } }]
+        );
+        itemsMoved = modifiedCount;
+    }
+
+    const { subcategoriesDeleted, itemsDeleted } = await deleteCategoryCascade(category, deletedBy);
+
+    return {
+        categoryId: category.categoryId,
+        strategy,
+        targetCategoryId: strategy === 'move' ? targetCategoryId : null,
+        subcategoriesMoved,
+        subcategoriesDeleted,
+        itemsMoved,
+        itemsDeleted
+    };
+});
+
+// Move a single item to the trash
+const deleteItemRecord = (item, deletedBy) => withTransaction(async () => {
+    await Tombstone.record('item', [item], { sharedWith: await getSharedWith(item.spaceId) });
+    await Item.updateOne({ itemId: item.itemId }, { $set: trashFields(item.itemId, deletedBy) });
+});
+
+// Bring back a trashed record together with everything that was trashed with
+// it. Records deleted separately before it stay in the trash. Returns the
+// restored counts, or an error code when the record's parent is still trashed.
+const restoreFromTrash = (type, doc) => withTransaction(async () => {
+    const rootId = doc[`${type}Id`];
+    const trashed = { trashRootId: rootId, deletedAt: { $ne: null } };
+
+    if (type !== 'space') {
+        const space = await Space.findOne({ spaceId: doc.spaceId });
+        if (!space) {
+            return { error: 'PARENT_IN_TRASH' };
+        }
+    }
+
+    // A category whose parent is gone comes back at the top level
+    if (type === 'category' && doc.parentId) {
+        const parent = await Category.findOne({ categoryId: doc.parentId, spaceId: doc.spaceId });
+        if (!parent) {
+            await Category.updateOne({ categoryId: rootId, deletedAt: { $ne: null } }, { $set: { parentId: null } });
+        }
+    }
+
+    // An item whose category is gone (or was moved to another space) comes
+    // back uncategorized
+    if (type === 'item' && doc.categoryId) {
+        const category = await Category.findOne({ categoryId: doc.categoryId, spaceId: doc.spaceId });
+        if (!category) {
+            await Item.updateOne({ itemId: rootId, deletedAt: { $ne: null } }, { $set: { categoryId: null } });
+        }
+    }
+
+    const restored = {};
+    for (const [entityType, Model] of Object.entries(TRASH_MODELS)) {
+        const ids = await Model.find(trashed).distinct(`${entityType}Id`);
+        if (ids.length > 0) {
+            await Model.updateMany(trashed, { $set: RESTORED_FIELDS });
+            await Tombstone.deleteMany({ entityType, entityId: { $in: ids } });
+        }
+        restored[entityType] = ids.length;
+    }
+
+    return { restored };
+});
+
+// Permanently delete a trashed record and everything trashed with it
+const purgeFromTrash = (rootId) => withTransaction(async () => {
+    const purged = {};
+    for (const [entityType, Model] of Object.entries(TRASH_MODELS)) {
+        const { deletedCount } = await Model.deleteMany({ trashRootId: rootId, deletedAt: { $ne: null } });
+        purged[entityType] = deletedCount;
+    }
+    return purged;
+});
+
+// Purge everything that has been in the trash longer than the retention window
+const purgeExpiredTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    for (const Model of Object.values(TRASH_MODELS)) {
+        const { deletedCount } = await Model.deleteMany({ deletedAt: { $ne: null, $lt: cutoff } });
+        purged += deletedCount;
+    }
+
+    if (purged > 0) {
+        console.log(`Purged ${purged} expired trash records`);
+    }
+    return purged;
+};
+
+// When a trashed record will be purged automatically
+const getPurgeDate = (deletedAt) => {
+    return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+    TRASH_MODELS,
+    CATEGORY_ITEM_STRATEGIES,
+    deleteSpaceCascade,
+    deleteCategoryCascade,
+    deleteCategoryWithItems,
+    deleteItemRecord,
+    recordLostAccess,
+    restoreFromTrash,
+    purgeFromTrash,
+    purgeExpiredTrash,
+    getPurgeDate
+};
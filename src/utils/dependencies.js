@@ -0,0 +1,91 @@
+const Item = require('../models/Item');
+
+// Prerequisites link items of the same owner, possibly across spaces. An item
+// is blocked while any of its prerequisites is open; trashed prerequisites
+// don't block. Collaborators only see, link and get blocked by prerequisites
+// in the spaces open to them (spaceIds), so other spaces of the owner stay
+// hidden from them.
+
+// Check that itemId (null for a new item) can depend on prerequisiteIds, all
+// of which must be in spaceIds. Returns a message describing the problem, or
+// null when the list is fine.
+const validatePrerequisites = async (itemId, ownerId, prerequisiteIds, spaceIds) => {
+    if (!prerequisiteIds || prerequisiteIds.length === 0) {
+        return null;
+    }
+
+    if (itemId && prerequisiteIds.includes(itemId)) {
+        return 'An item cannot be its own prerequisite';
+    }
+
+    const found = await Item.find({
+        itemId: { $in: prerequisiteIds },
+        userId: ownerId,
+        spaceId: { $in: spaceIds }
+    }).distinct('itemId');
+    const missing = prerequisiteIds.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+        return `Prerequisite items not found: ${missing.join(', ')}`;
+    }
+
+    // A new item has no dependents yet, so it can't close a cycle
+    if (!itemId) {
+        return null;
+    }
+
+    // Walk the prerequisites of the prerequisites, hidden ones included;
+    // reaching itemId again means the new links would form a cycle
+    const linked = await Item.find({ userId: ownerId, prerequisiteIds: { $ne: [] } }).select('itemId prerequisiteIds');
+    const prerequisitesOf = new Map(linked.map(item => [item.itemId, item.prerequisiteIds]));
+    const seen = new Set();
+    const queue = [...prerequisiteIds];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (id === itemId) {
+            return 'Prerequisites cannot form a cycle';
+        }
+        if (!seen.has(id)) {
+            seen.add(id);
+            queue.push(...(prerequisitesOf.get(id) || []));
+        }
+    }
+
+    return null;
+};
+
+// Open prerequisites of an item in spaceIds, as { id, text, spaceId }
+const getOpenPrerequisites = async (item, spaceIds) => {
+    if (!item.prerequisiteIds || item.prerequisiteIds.length === 0) {
+        return [];
+    }
+
+    const open = await Item.find({
+        itemId: { $in: item.prerequisiteIds },
+        spaceId: { $in: spaceIds },
+        isCompleted: false
+    }).select('itemId text spaceId');
+    return open.map(prerequisite => ({
+        id: prerequisite.itemId,
+        text: prerequisite.text,
+        spaceId: prerequisite.spaceId
+    }));
+};
+
+// Ids among the given items' prerequisites in spaceIds that are still open
+const findOpenPrerequisiteIds = async (items, spaceIds) => {
+    const ids = [...new Set(items.flatMap(item => item.prerequisiteIds || []))];
+    if (ids.length === 0) {
+        return new Set();
+    }
+    return new Set(await Item.find({
+        itemId: { $in: ids },
+        spaceId: { $in: spaceIds },
+        isCompleted: false
+    }).distinct('itemId'));
+};
+
+module.exports = {
+    validatePrerequisites,
+    getOpenPrerequisites,
+    findOpenPrerequisiteIds
+};
@@ -0,0 +1,84 @@
+const { formatLocation } = require('./geo');
+
+// How far along an item is, from 0 to 1: done when completed, otherwise the
+// share of its checklist steps that are checked off
+const itemProgress = (item) => {
+    if (item.isCompleted) {
+        return 1;
+    }
+    const steps = item.steps || [];
+    return steps.length > 0 ? steps.filter(step => step.isCompleted).length / steps.length : 0;
+};
+
+const formatStep = (step) => ({
+    id: step.stepId,
+    text: step.text,
+    isCompleted: step.isCompleted,
+    completedAt: step.completedAt
+});
+
+// Shape an item document for API responses
+const formatItem = (item) => ({
+    id: item.itemId,
+    text: item.text,
+    isCompleted: item.isCompleted,
+    categoryId: item.categoryId,
+    imageUrl: item.imageUrl,
+    description: item.description,
+    targetDate: item.targetDate,
+    dueDate: item.dueDate,
+    reminderAt: item.reminderAt,
+    completedAt: item.completedAt,
+    rating: item.rating,
+    completionNote: item.completionNote,
+    memoryPhotos: item.memoryPhotos,
+    tags: item.tags,
+    priority: item.priority ?? null,
+    estimatedCost: item.estimatedCost ?? null,
+    actualCost: item.actualCost ?? null,
+    currency: item.currency || 'USD',
+    estimatedHours: item.estimatedHours ?? null,
+    location: formatLocation(item.location),
+    prerequisiteIds: item.prerequisiteIds || [],
+    steps: (item.steps || []).map(formatStep),
+    autoCompleteSteps: Boolean(item.autoCompleteSteps),
+    progress: itemProgress(item),
+    recurrence: item.recurrence || null,
+    periodStart: item.periodStart || null,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt
+});
+
+// Shape an item for the anonymous public view: display fields only, leaving
+// out personal notes, photos, reminders, costs, locations and links to other items
+const formatPublicItem = (item) => ({
+    id: item.itemId,
+    text: item.text,
+    description: item.description,
+    imageUrl: item.imageUrl,
+    isCompleted: item.isCompleted,
+    completedAt: item.completedAt,
+    targetDate: item.targetDate,
+    tags: item.tags,
+    steps: (item.steps || []).map(step => ({ text: step.text, isCompleted: step.isCompleted })),
+    progress: itemProgress(item)
+});
+
+// Shape a revision for API responses
+const formatRevision = (revision) => ({
+    id: revision.revisionId,
+    actionId: revision.actionId,
+    entityType: revision.entityType,
+    entityId: revision.entityId,
+    spaceId: revision.spaceId,
+    userId: revision.userId,
+    action: revision.action,
+    fields: revision.fields,
+    before: revision.before,
+    after: revision.after,
+    isUndo: revision.isUndo,
+    undoneAt: revision.undoneAt,
+    createdAt: revision.createdAt
+});
+
+module.exports = { formatItem, formatPublicItem, formatStep, itemProgress, formatRevision };
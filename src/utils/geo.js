@@ -0,0 +1,68 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+// Items store their location as a GeoJSON point ([lng, lat]) so MongoDB can
+// index it; the API speaks { name, lat, lng }
+const toGeoPoint = (location) => {
+    if (!location) {
+        return null;
+    }
+    return {
+        type: 'Point',
+        name: location.name || null,
+        coordinates: [Number(location.lng), Number(location.lat)]
+    };
+};
+
+const formatLocation = (point) => {
+    if (!point || !point.coordinates || point.coordinates.length !== 2) {
+        return null;
+    }
+    return {
+        name: point.name || null,
+        lat: point.coordinates[1],
+        lng: point.coordinates[0]
+    };
+};
+
+// Great-circle distance between two { lat, lng } points
+const distanceInMeters = (from, to) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a)));
+};
+
+// GeoJSON FeatureCollection of located items for map clients. categoryNames
+// maps category ids to names.
+const toFeatureCollection = (items, categoryNames = new Map()) => ({
+    type: 'FeatureCollection',
+    features: items
+        .filter(item => formatLocation(item.location))
+        .map(item => ({
+            type: 'Feature',
+            id: item.itemId,
+            geometry: {
+                type: 'Point',
+                coordinates: item.location.coordinates
+            },
+            properties: {
+                text: item.text,
+                description: item.description,
+                locationName: item.location.name || null,
+                isCompleted: item.isCompleted,
+                categoryId: item.categoryId,
+                categoryName: item.categoryId ? categoryNames.get(item.categoryId) || null : null,
+                tags: item.tags,
+                imageUrl: item.imageUrl
+            }
+        }))
+});
+
+module.exports = {
+    toGeoPoint,
+    formatLocation,
+    distanceInMeters,
+    toFeatureCollection
+};
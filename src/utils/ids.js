@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// ULID-style identifiers: 10 chars of millisecond timestamp followed by 16 random
+// chars, Crockford base32. They sort by creation time and are safe to generate
+// many times per millisecond.
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+let lastTime = -1;
+let lastRandom = '';
+
+const encodeTime = (time) => {
+    let remaining = time;
+    let output = '';
+    for (let i = 0; i < TIME_LENGTH; i++) {
+        output = ENCODING[remaining % 32] + output;
+        remaining = Math.floor(remaining / 32);
+    }
+    return output;
+};
+
+const randomChars = (bytes = crypto.randomBytes(RANDOM_LENGTH)) => {
+    let output = '';
+    for (let i = 0; i < RANDOM_LENGTH; i++) {
+        output += ENCODING[bytes[i] % 32];
+    }
+    return output;
+};
+
+// Add one to a base32 string so ids from the same millisecond keep their order
+const increment = (value) => {
+    const chars = value.split('');
+    for (let i = chars.length - 1; i >= 0; i--) {
+        const index = ENCODING.indexOf(chars[i]);
+        if (index < 31) {
+            chars[i] = ENCODING[index + 1];
+            return chars.join('');
+        }
+        chars[i] = ENCODING[0];
+    }
+    // Random part exhausted within one millisecond; start over with fresh randomness
+    return randomChars();
+};
+
+const ulid = () => {
+    const time = Date.now();
+    if (time === lastTime) {
+        lastRandom = increment(lastRandom);
+    } else {
+        lastTime = time;
+        lastRandom = randomChars();
+    }
+    return encodeTime(time) + lastRandom;
+};
+
+// Prefixed id such as item_01JG5N6Z3K8W4Q2R7T9V0X1Y2Z
+const generateId = (prefix) => {
+    return `${prefix}_${ulid()}`;
+};
+
+// Same format, but fully determined by a time and a seed string, so re-running
+// a migration maps an old id to the same new id
+const generateIdFrom = (prefix, time, seed) => {
+    const bytes = crypto.createHash('sha256').update(seed).digest();
+    return `${prefix}_${encodeTime(time)}${randomChars(bytes)}`;
+};
+
+module.exports = {
+    generateId,
+    generateIdFrom
+};
@@ -1,10 +1,32 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Generate short-lived JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRE || '15m'
     });
 };
 
-module.exports = { generateToken };
+// Generate opaque refresh token; the session id prefix lets us look it up
+const generateRefreshToken = (sessionId) => {
+    return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+};
+
+// Tokens are only ever stored hashed
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getRefreshTokenExpiry = () => {
+    return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+    generateAccessToken,
+    generateRefreshToken,
+    hashToken,
+    getRefreshTokenExpiry
+};
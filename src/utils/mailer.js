@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Every transport exposes send({ from, to, subject, text, html }) => Promise
+
+// Send through an SMTP server
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+// Print messages to the console (local development)
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+});
+
+// Write each message as a JSON file so tests can read them back
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || 'logs/mail') => ({
+    name: 'file',
+    directory,
+    send: async (message) => {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(
+            path.join(directory, fileName),
+            JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+        );
+    }
+});
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+let transport = null;
+
+// The console transport prints sign-in links to the logs, so only development
+// may fall back to it; everywhere else the transport has to be chosen
+const getTransportName = () => {
+    if (process.env.MAIL_TRANSPORT) {
+        return process.env.MAIL_TRANSPORT;
+    }
+    if ((process.env.NODE_ENV || 'development') === 'development') {
+        return 'console';
+    }
+    throw new Error('MAIL_TRANSPORT must be set outside development');
+};
+
+const getTransport = () => {
+    if (!transport) {
+        const name = getTransportName();
+        const factory = TRANSPORTS[name];
+
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+
+        transport = factory();
+    }
+
+    return transport;
+};
+
+// Swap the active transport (used by tests)
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+// Escape user-provided text for use in an HTML mail body
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const sendMail = (message) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'Bucket List <no-reply@bucketlist.app>',
+        ...message
+    });
+};
+
+module.exports = {
+    createSmtpTransport,
+    createConsoleTransport,
+    createFileTransport,
+    getTransport,
+    setTransport,
+    escapeHtml,
+    sendMail
+};
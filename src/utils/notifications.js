@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+// Every channel exposes send(notification) => Promise, where a notification is
+// { type, userId, title, body, data }
+
+// Write notifications to the console (default)
+const createLogChannel = () => ({
+    name: 'log',
+    send: async (notification) => {
+        console.log(`[notification] ${notification.type} -> ${notification.userId}: ${notification.title}`);
+    }
+});
+
+// Keep notifications in memory so tests can inspect them
+const createMemoryChannel = () => {
+    const sent = [];
+
+    return {
+        name: 'memory',
+        sent,
+        send: async (notification) => {
+            sent.push({ ...notification, sentAt: new Date() });
+        },
+        clear: () => {
+            sent.length = 0;
+        }
+    };
+};
+
+// Deliver notifications by email through the configured mail transport
+const createEmailChannel = () => ({
+    name: 'email',
+    send: async (notification) => {
+        const user = await User.findOne({ userId: notification.userId });
+
+        if (!user) {
+            return;
+        }
+
+        await sendMail({
+            to: user.email,
+            subject: notification.title,
+            text: notification.body
+        });
+    }
+});
+
+const CHANNELS = {
+    log: createLogChannel,
+    memory: createMemoryChannel,
+    email: createEmailChannel
+};
+
+let channel = null;
+
+const getChannel = () => {
+    if (!channel) {
+        const name = process.env.NOTIFICATION_CHANNEL || 'log';
+        const factory = CHANNELS[name];
+
+        if (!factory) {
+            throw new Error(`Unknown NOTIFICATION_CHANNEL "${name}"`);
+        }
+
+        channel = factory();
+    }
+
+    return channel;
+};
+
+// Swap the active channel (used by tests)
+const setChannel = (newChannel) => {
+    channel = newChannel;
+};
+
+const notify = (notification) => {
+    return getChannel().send(notification);
+};
+
+module.exports = {
+    createLogChannel,
+    createMemoryChannel,
+    createEmailChannel,
+    getChannel,
+    setChannel,
+    notify
+};
@@ -0,0 +1,55 @@
+// Calendar periods for recurring items, in UTC. Weeks start on Monday and
+// seasons are the meteorological ones (starting in March, June, September and
+// December).
+const PERIOD_FREQUENCIES = ['daily', 'weekly', 'monthly', 'seasonal', 'yearly'];
+
+// Start of the period of the given frequency that contains date
+const getPeriodStart = (frequency, date = new Date()) => {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    switch (frequency) {
+        case 'daily':
+            return new Date(Date.UTC(year, month, day));
+        case 'weekly':
+            return new Date(Date.UTC(year, month, day - (date.getUTCDay() + 6) % 7));
+        case 'monthly':
+            return new Date(Date.UTC(year, month, 1));
+        case 'seasonal':
+            return new Date(Date.UTC(year, month - (month + 1) % 3, 1));
+        case 'yearly':
+            return new Date(Date.UTC(year, 0, 1));
+        default:
+            throw new Error(`Unknown recurrence frequency: ${frequency}`);
+    }
+};
+
+// Start of the period `count` periods after (or before, when negative) the one
+// starting at periodStart
+const shiftPeriod = (frequency, periodStart, count) => {
+    const year = periodStart.getUTCFullYear();
+    const month = periodStart.getUTCMonth();
+    const day = periodStart.getUTCDate();
+
+    switch (frequency) {
+        case 'daily':
+            return new Date(Date.UTC(year, month, day + count));
+        case 'weekly':
+            return new Date(Date.UTC(year, month, day + 7 * count));
+        case 'monthly':
+            return new Date(Date.UTC(year, month + count, 1));
+        case 'seasonal':
+            return new Date(Date.UTC(year, month + 3 * count, 1));
+        case 'yearly':
+            return new Date(Date.UTC(year + count, 0, 1));
+        default:
+            throw new Error(`Unknown recurrence frequency: ${frequency}`);
+    }
+};
+
+module.exports = {
+    PERIOD_FREQUENCIES,
+    getPeriodStart,
+    shiftPeriod
+};
@@ -0,0 +1,83 @@
+const Item = require('../models/Item');
+const { PERIOD_FREQUENCIES, getPeriodStart, shiftPeriod } = require('./periods');
+
+const BATCH_SIZE = 100;
+
+// Start every recurring item whose period has ended over for the current one.
+// Its completion for the old period is already in completionHistory; missed
+// periods simply have no entry. Returns the number of items reset.
+const rollOverRecurringItems = async (now = new Date()) => {
+    let reset = 0;
+
+    for (const frequency of PERIOD_FREQUENCIES) {
+        const currentPeriodStart = getPeriodStart(frequency, now);
+        let items;
+
+        do {
+            items = await Item.find({ recurrence: frequency, periodStart: { $lt: currentPeriodStart } })
+                .limit(BATCH_SIZE);
+
+            for (const item of items) {
+                item.periodStart = currentPeriodStart;
+                item.isCompleted = false;
+                item.completedAt = null;
+                item.rating = null;
+                item.completionNote = null;
+                item.memoryPhotos = [];
+                item.steps.forEach(step => {
+                    step.isCompleted = false;
+                    step.completedAt = null;
+                });
+                // Reminders fire again in the new period
+                item.reminderSentAt = null;
+                await item.save();
+                reset++;
+            }
+        } while (items.length === BATCH_SIZE);
+    }
+
+    if (reset > 0) {
+        console.log(`Reset ${reset} recurring items for a new period`);
+    }
+    return reset;
+};
+
+// History entries recorded under the item's current frequency; untagged ones
+// predate frequencies being recorded and belong to the current one
+const entriesForCurrentFrequency = (item) => item.completionHistory
+    .filter(entry => (entry.recurrence || item.recurrence) === item.recurrence);
+
+// Streaks of consecutive completed periods of the current frequency: the
+// current one (counting back from this period, or the last one if this period
+// isn't done yet) and the longest
+const getStreaks = (item, now = new Date()) => {
+    const frequency = item.recurrence;
+    const completed = new Set(entriesForCurrentFrequency(item).map(entry => entry.periodStart.getTime()));
+
+    let cursor = getPeriodStart(frequency, now);
+    if (!completed.has(cursor.getTime())) {
+        cursor = shiftPeriod(frequency, cursor, -1);
+    }
+    let current = 0;
+    while (completed.has(cursor.getTime())) {
+        current++;
+        cursor = shiftPeriod(frequency, cursor, -1);
+    }
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    [...completed].sort((a, b) => a - b).forEach(time => {
+        const follows = previous !== null && shiftPeriod(frequency, new Date(previous), 1).getTime() === time;
+        run = follows ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = time;
+    });
+
+    return { current, longest };
+};
+
+module.exports = {
+    rollOverRecurringItems,
+    getStreaks
+};
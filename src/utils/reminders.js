@@ -0,0 +1,60 @@
+const Item = require('../models/Item');
+const { notify } = require('./notifications');
+
+const BATCH_SIZE = 100;
+
+// Send notifications for every open item whose reminder time has passed.
+// Returns the number of reminders delivered.
+const processDueReminders = async (now = new Date()) => {
+    const dueItems = await Item.find({
+        reminderAt: { $lte: now },
+        reminderSentAt: null,
+        isCompleted: false
+    })
+        .sort({ reminderAt: 1 })
+        .limit(BATCH_SIZE);
+
+    let delivered = 0;
+
+    for (const dueItem of dueItems) {
+        // Claim the reminder first so a second process can't send it too
+        const item = await Item.findOneAndUpdate(
+            { itemId: dueItem.itemId, reminderSentAt: null },
+            { reminderSentAt: now },
+            { new: true, timestamps: false }
+        );
+
+        if (!item) {
+            continue;
+        }
+
+        try {
+            await notify({
+                type: 'item_reminder',
+                userId: item.userId,
+                title: `Reminder: ${item.text}`,
+                body: item.dueDate
+                    ? `"${item.text}" is due on ${item.dueDate.toDateString()}.`
+                    : `Don't forget "${item.text}" on your bucket list.`,
+                data: {
+                    itemId: item.itemId,
+                    spaceId: item.spaceId,
+                    dueDate: item.dueDate
+                }
+            });
+            delivered++;
+        } catch (error) {
+            // Release the claim so the next run retries
+            await Item.updateOne(
+                { itemId: item.itemId },
+                { reminderSentAt: null },
+                { timestamps: false }
+            );
+            console.error(`Reminder for ${item.itemId} failed:`, error.message);
+        }
+    }
+
+    return delivered;
+};
+
+module.exports = { processDueReminders };
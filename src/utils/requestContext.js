@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Who is acting in the current request, available to code that has no access
+// to `req` (model hooks in particular). Every authenticated request is one
+// action, identified by actionId, so the changes it makes can be undone together.
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+// Empty for work that runs outside a request (background jobs, scripts)
+const getContext = () => storage.getStore() || {};
+
+module.exports = {
+    runWithContext,
+    getContext
+};
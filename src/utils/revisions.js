@@ -0,0 +1,168 @@
+const Revision = require('../models/Revision');
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const {
+    TRASH_MODELS,
+    deleteSpaceCascade,
+    deleteCategoryCascade,
+    deleteItemRecord,
+    restoreFromTrash
+} = require('./deletion');
+const { withTransaction } = require('./transaction');
+const { validateParent } = require('./categoryTree');
+const { validatePrerequisites } = require('./dependencies');
+const { runWithContext, getContext } = require('./requestContext');
+
+// Where a record lives and who can see it change through the move and sharing
+// endpoints, so reverting never touches them
+const FIXED_FIELDS = ['spaceId', 'userId', 'members'];
+
+const undoConflict = (code, message) => Object.assign(new Error(message), { statusCode: 409, code });
+
+// Records moved to another space have to be moved back through the move
+// endpoints: rolling back only the other fields would leave them in the new
+// space with references into the old one cleared
+const rejectMovesAcrossSpaces = (revisions) => {
+    if (revisions.some(revision => revision.action === 'update' && revision.fields.includes('spaceId'))) {
+        throw undoConflict('MOVED_ACROSS_SPACES', 'Records were moved to another space; move them back instead');
+    }
+};
+
+// Set fields of a live record back to the given values and save it. References
+// that no longer resolve are cleared, as a restore from the trash does.
+const applyValues = async (type, doc, values) => {
+    const fields = Object.keys(values || {}).filter(field => !FIXED_FIELDS.includes(field));
+    const previousPrerequisites = type === 'item' ? [...doc.prerequisiteIds] : [];
+    fields.forEach(field => doc.set(field, values[field]));
+
+    if (type === 'category' && fields.includes('parentId') && doc.parentId &&
+        await validateParent(doc.spaceId, doc.categoryId, doc.parentId)) {
+        doc.parentId = null;
+    }
+
+    if (type === 'item' && fields.includes('categoryId') && doc.categoryId) {
+        const category = await Category.findOne({ categoryId: doc.categoryId, spaceId: doc.spaceId });
+        if (!category) {
+            doc.categoryId = null;
+        }
+    }
+
+    // Drop prerequisites that are gone, and links to items in spaces hidden
+    // from the user unless the item has them now; keep the current ones if the
+    // old list would now close a cycle
+    if (type === 'item' && fields.includes('prerequisiteIds') && doc.prerequisiteIds.length > 0) {
+        const spaceIds = await Space.findIdsAccessibleBy(getContext().userId);
+        const existing = await Item.find({ itemId: { $in: doc.prerequisiteIds }, userId: doc.userId })
+            .select('itemId spaceId');
+        const kept = existing.filter(item =>
+            spaceIds.includes(item.spaceId) || previousPrerequisites.includes(item.itemId));
+        const keptIds = kept.map(item => item.itemId);
+        doc.prerequisiteIds = doc.prerequisiteIds.filter(id => keptIds.includes(id));
+        if (await validatePrerequisites(doc.itemId, doc.userId, doc.prerequisiteIds, kept.map(item => item.spaceId))) {
+            doc.prerequisiteIds = previousPrerequisites;
+        }
+    }
+
+    await doc.save();
+    return doc;
+};
+
+// Bring a live record back to how it was right after the given revision, by
+// rolling back every newer change to it, newest first
+const revertToRevision = async (doc, revision) => {
+    const newer = await Revision.find({
+        entityType: revision.entityType,
+        entityId: revision.entityId,
+        revisionId: { $gt: revision.revisionId }
+    }).sort({ revisionId: -1 });
+
+    rejectMovesAcrossSpaces(newer);
+
+    const values = {};
+    newer.forEach(change => Object.assign(values, change.before));
+
+    return withTransaction(() => applyValues(revision.entityType, doc, values));
+};
+
+// Revisions of the most recent action of a user that can still be undone,
+// oldest first. Undos themselves are skipped, so repeated calls walk further back.
+const findLastAction = async (userId) => {
+    const latest = await Revision.findOne({ userId, isUndo: false, undoneAt: null }).sort({ revisionId: -1 });
+    return latest ? Revision.find({ actionId: latest.actionId }).sort({ revisionId: 1 }) : [];
+};
+
+// Whether any record touched by the action was changed again afterwards
+const hasLaterChanges = async (revisions) => {
+    const last = revisions[revisions.length - 1];
+    return Boolean(await Revision.exists({
+        entityId: { $in: [...new Set(revisions.map(revision => revision.entityId))] },
+        revisionId: { $gt: last.revisionId },
+        actionId: { $ne: last.actionId },
+        isUndo: false,
+        undoneAt: null
+    }));
+};
+
+const TRASH_CASCADES = {
+    space: deleteSpaceCascade,
+    category: deleteCategoryCascade,
+    item: deleteItemRecord
+};
+
+// Undo all changes of one action in a single transaction: edits are reverted
+// and deletions restored (newest first), then records the action created or
+// restored go to the trash (oldest first, so children land in the trash entry
+// of their parent). The undo is recorded as revisions of its own. Actions that
+// moved records to another space can't be undone this way.
+const undoAction = (revisions) => runWithContext({ ...getContext(), isUndo: true }, () => withTransaction(async () => {
+    rejectMovesAcrossSpaces(revisions);
+
+    const { userId } = getContext();
+    const counts = { reverted: 0, restored: 0, trashed: 0 };
+
+    const findRecord = (revision, options) => TRASH_MODELS[revision.entityType]
+        .findOne({ [`${revision.entityType}Id`]: revision.entityId }, null, options);
+
+    for (const revision of [...revisions].reverse()) {
+        if (revision.action === 'update') {
+            const doc = await findRecord(revision);
+            if (doc) {
+                await applyValues(revision.entityType, doc, revision.before);
+                counts.reverted++;
+            }
+        }
+
+        // Records trashed along with another one come back with it
+        if (revision.action === 'delete' && revision.trashRootId === revision.entityId) {
+            const doc = await findRecord(revision, { withDeleted: true });
+            if (doc && doc.deletedAt && doc.trashRootId === revision.entityId) {
+                const { error } = await restoreFromTrash(revision.entityType, doc);
+                if (error) {
+                    throw undoConflict(error, 'Restore the space this record belongs to first');
+                }
+                counts.restored++;
+            }
+        }
+    }
+
+    for (const revision of revisions) {
+        if (revision.action === 'create' || revision.action === 'restore') {
+            const doc = await findRecord(revision);
+            if (doc) {
+                await TRASH_CASCADES[revision.entityType](doc, userId);
+                counts.trashed++;
+            }
+        }
+    }
+
+    await Revision.updateMany({ actionId: revisions[0].actionId }, { $set: { undoneAt: new Date() } });
+    return counts;
+}));
+
+module.exports = {
+    revertToRevision,
+    findLastAction,
+    hasLaterChanges,
+    undoAction
+};
@@ -0,0 +1,49 @@
+// Minimal in-process job runner for background work (reminders, cleanups).
+// Each job runs on a fixed interval; a run is skipped while the previous one
+// is still in progress.
+const jobs = new Map();
+
+const scheduleJob = (name, intervalMs, task) => {
+    stopJob(name);
+
+    const job = { running: false, timer: null };
+
+    const run = async () => {
+        if (job.running) {
+            return;
+        }
+        job.running = true;
+        try {
+            await task();
+        } catch (error) {
+            console.error(`Job "${name}" failed:`, error.message);
+        } finally {
+            job.running = false;
+        }
+    };
+
+    job.timer = setInterval(run, intervalMs);
+    // Background jobs should not keep the process alive on their own
+    job.timer.unref();
+    jobs.set(name, job);
+
+    return run;
+};
+
+const stopJob = (name) => {
+    const job = jobs.get(name);
+    if (job) {
+        clearInterval(job.timer);
+        jobs.delete(name);
+    }
+};
+
+const stopAllJobs = () => {
+    [...jobs.keys()].forEach(stopJob);
+};
+
+module.exports = {
+    scheduleJob,
+    stopJob,
+    stopAllJobs
+};
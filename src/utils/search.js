@@ -0,0 +1,116 @@
+// Field weights used to rank search hits
+const FIELD_WEIGHTS = {
+    text: 3,
+    name: 3,
+    tags: 2,
+    description: 1
+};
+
+const SNIPPET_RADIUS = 40;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Split a query into unique lowercase terms
+const tokenize = (query) => {
+    return [...new Set(String(query).toLowerCase().split(/\s+/).filter(Boolean))];
+};
+
+// Mongo filter matching documents where any of the fields contains any term
+const buildMatchFilter = (fields, terms) => {
+    const patterns = terms.map(term => new RegExp(escapeRegex(term), 'i'));
+    return {
+        $or: fields.flatMap(field => patterns.map(pattern => ({ [field]: pattern })))
+    };
+};
+
+const fieldText = (value) => (Array.isArray(value) ? value.join(' ') : value || '');
+
+// Score a document against the query. Every term has to appear in at least one
+// field; otherwise the document is not a hit and 0 is returned.
+const scoreDocument = (doc, fields, terms, phrase) => {
+    let score = 0;
+
+    for (const term of terms) {
+        const wordStart = new RegExp(`(^|\\W)${escapeRegex(term)}`, 'i');
+        let termScore = 0;
+
+        for (const field of fields) {
+            const value = fieldText(doc[field]).toLowerCase();
+            const weight = FIELD_WEIGHTS[field] || 1;
+
+            if (value.includes(term)) {
+                termScore += weight;
+                // Whole words and word prefixes beat matches inside a word
+                if (wordStart.test(value)) {
+                    termScore += weight * 0.5;
+                }
+            }
+        }
+
+        if (termScore === 0) {
+            return 0;
+        }
+        score += termScore;
+    }
+
+    // Bonus for the full query appearing as typed
+    if (terms.length > 1) {
+        for (const field of fields) {
+            if (fieldText(doc[field]).toLowerCase().includes(phrase)) {
+                score += (FIELD_WEIGHTS[field] || 1) * 2;
+            }
+        }
+    }
+
+    return score;
+};
+
+// Excerpt of a field around the first match with every term wrapped in <mark>.
+// Returns null when the field does not match.
+const buildSnippet = (value, terms) => {
+    const text = fieldText(value);
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+
+    if (positions.length === 0) {
+        return null;
+    }
+
+    const first = Math.min(...positions);
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    const excerpt = text.slice(start, end);
+
+    const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+    const highlighted = excerpt
+        .split(pattern)
+        .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+// Highlight snippets for every matching field of a document
+const buildHighlights = (doc, fields, terms) => {
+    return fields.reduce((acc, field) => {
+        const snippet = buildSnippet(doc[field], terms);
+        if (snippet) {
+            acc[field] = snippet;
+        }
+        return acc;
+    }, {});
+};
+
+module.exports = {
+    tokenize,
+    buildMatchFilter,
+    scoreDocument,
+    buildSnippet,
+    buildHighlights
+};
@@ -0,0 +1,34 @@
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const { formatItem: formatFullItem } = require('./formatters');
+const { withoutHiddenBranches, nestCategories } = require('./categoryTree');
+
+// Categories of a space with their items nested, as returned by GET /spaces/:spaceId.
+// Hiding a category hides its subcategories too. With tree set, subcategories
+// are nested under their parent in `children` instead of listed flat.
+// formatItem shapes each item (the public view passes a narrower one).
+const buildSpaceCategories = async (spaceId, { includeHidden = true, tree = false, formatItem = formatFullItem } = {}) => {
+    const categories = await Category.find({ spaceId }).sort({ order: 1 });
+
+    let nodes = await Promise.all(
+        categories.map(async (category) => {
+            const items = await Item.find({ categoryId: category.categoryId }).sort({ order: 1 });
+            return {
+                id: category.categoryId,
+                parentId: category.parentId,
+                name: category.name,
+                icon: category.icon,
+                isHidden: category.isHidden,
+                items: items.map(formatItem)
+            };
+        })
+    );
+
+    if (!includeHidden) {
+        nodes = withoutHiddenBranches(nodes);
+    }
+
+    return tree ? nestCategories(nodes) : nodes;
+};
+
+module.exports = { buildSpaceCategories };
@@ -0,0 +1,161 @@
+const { toGeoPoint, formatLocation } = require('./geo');
+
+// Conflict resolution strategies the client can pick for POST /sync
+const CONFLICT_STRATEGIES = ['server-wins', 'client-wins', 'merge'];
+
+// Syncable entities, in the order client changes are applied
+// (spaces before the categories and items that reference them)
+const SYNC_ENTITIES = {
+    spaces: {
+        type: 'space',
+        idField: 'spaceId',
+        fields: ['name', 'icon', 'isHidden', 'order']
+    },
+    categories: {
+        type: 'category',
+        idField: 'categoryId',
+        fields: ['spaceId', 'parentId', 'name', 'icon', 'isHidden', 'order']
+    },
+    items: {
+        type: 'item',
+        idField: 'itemId',
+        fields: [
+            'spaceId', 'categoryId', 'text', 'isCompleted', 'imageUrl', 'description', 'order',
+            'targetDate', 'dueDate', 'reminderAt',
+            'completedAt', 'rating', 'completionNote', 'memoryPhotos',
+            'tags', 'steps', 'autoCompleteSteps', 'recurrence',
+            'priority', 'estimatedCost', 'actualCost', 'currency', 'estimatedHours', 'location',
+            'prerequisiteIds'
+        ]
+    }
+};
+
+// Fields stored differently from how they travel: locations are exchanged as
+// { name, lat, lng }, the same shape as in the REST API. GeoJSON points sent by
+// older clients are still accepted.
+const FIELD_CODECS = {
+    location: {
+        toWire: formatLocation,
+        fromWire: (value) => (value.coordinates ? value : toGeoPoint(value))
+    }
+};
+
+const toWireValue = (field, value) => (FIELD_CODECS[field] ? FIELD_CODECS[field].toWire(value) : value);
+
+// Storage values for fields of a client record
+const fromSyncValues = (values) => Object.fromEntries(Object.entries(values).map(([field, value]) => [
+    field,
+    FIELD_CODECS[field] && value !== null && value !== undefined ? FIELD_CODECS[field].fromWire(value) : value
+]));
+
+// A client value in wire shape, so it compares equal to the server's however the
+// client wrote it
+const normalizeClientValue = (field, value) => (
+    value === undefined || value === null || !FIELD_CODECS[field]
+        ? value
+        : toWireValue(field, FIELD_CODECS[field].fromWire(value))
+);
+
+// Parse a client timestamp (ISO string or epoch millis), null if missing/invalid
+const parseTimestamp = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Compare two field values the way they would travel over JSON
+const isSameValue = (a, b) => {
+    // Dates arrive as strings in any ISO form; compare them as instants
+    if (a instanceof Date || b instanceof Date) {
+        const timeA = a === null || a === undefined ? null : new Date(a).getTime();
+        const timeB = b === null || b === undefined ? null : new Date(b).getTime();
+        return timeA === timeB;
+    }
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+};
+
+// Serialize a document into the wire format used by sync responses
+const toSyncRecord = (entity, doc) => {
+    const { idField, fields } = SYNC_ENTITIES[entity];
+    const record = { id: doc[idField] };
+
+    fields.forEach(field => {
+        record[field] = doc[field] === undefined ? null : toWireValue(field, doc[field]);
+    });
+
+    record.createdAt = doc.createdAt;
+    record.updatedAt = doc.updatedAt;
+
+    return record;
+};
+
+// Work out which fields to write for a client record that targets an existing
+// server document. A conflict exists when the server copy was modified after the
+// client's last sync and both sides changed the same field to different values.
+//
+// If the client sends `base` (its copy of the record as of the last sync), changes
+// are detected per field on both sides; without it, any field the server differs
+// on is assumed to have been edited server-side.
+const resolveChanges = ({ entity, clientRecord, serverDoc, since, strategy }) => {
+    const { fields } = SYNC_ENTITIES[entity];
+    const base = clientRecord.base && typeof clientRecord.base === 'object' ? clientRecord.base : null;
+    const client = (field) => normalizeClientValue(field, clientRecord[field]);
+    const baseValue = (field) => normalizeClientValue(field, base[field]);
+    const server = (field) => toWireValue(field, serverDoc[field]);
+
+    const clientChanged = fields.filter(field => {
+        if (clientRecord[field] === undefined) {
+            return false;
+        }
+        return base
+            ? !isSameValue(client(field), baseValue(field))
+            : !isSameValue(client(field), server(field));
+    });
+
+    const serverModifiedSinceSync = !since || serverDoc.updatedAt > since;
+    const serverChanged = !serverModifiedSinceSync
+        ? []
+        : fields.filter(field => (base ? !isSameValue(server(field), baseValue(field)) : true));
+
+    const conflictFields = clientChanged.filter(field =>
+        serverChanged.includes(field) && !isSameValue(client(field), server(field))
+    );
+
+    const pick = (keys) => keys.reduce((acc, key) => {
+        acc[key] = clientRecord[key];
+        return acc;
+    }, {});
+
+    if (conflictFields.length === 0) {
+        return { updates: pick(clientChanged), conflictFields };
+    }
+
+    if (strategy === 'client-wins') {
+        return { updates: pick(clientChanged), conflictFields };
+    }
+
+    if (strategy === 'merge') {
+        // Non-conflicting edits from both sides are kept; fields edited on both
+        // sides go to whichever copy was modified last
+        const clientUpdatedAt = parseTimestamp(clientRecord.updatedAt);
+        const clientIsNewer = clientUpdatedAt !== null && clientUpdatedAt > serverDoc.updatedAt;
+        const merged = clientChanged.filter(field => !conflictFields.includes(field) || clientIsNewer);
+        return { updates: pick(merged), conflictFields };
+    }
+
+    // server-wins: the server keeps the conflicting fields; the client's other
+    // edits still apply
+    return { updates: pick(clientChanged.filter(field => !conflictFields.includes(field))), conflictFields };
+};
+
+module.exports = {
+    CONFLICT_STRATEGIES,
+    SYNC_ENTITIES,
+    parseTimestamp,
+    isSameValue,
+    toSyncRecord,
+    fromSyncValues,
+    resolveChanges
+};
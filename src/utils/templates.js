@@ -0,0 +1,115 @@
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const SpaceTemplate = require('../models/SpaceTemplate');
+const { BUILT_IN_TEMPLATES } = require('../config/templates');
+const { nestCategories } = require('./categoryTree');
+
+// A built-in template or one of the user's own, null if neither matches
+const findTemplate = async (templateId, userId) => {
+    const builtIn = BUILT_IN_TEMPLATES.find(template => template.templateId === templateId);
+    if (builtIn) {
+        return { ...builtIn, isBuiltIn: true };
+    }
+
+    const template = await SpaceTemplate.findOne({ templateId, userId });
+    return template ? { ...template.toObject(), isBuiltIn: false } : null;
+};
+
+const formatTemplateCategory = (category) => ({
+    name: category.name,
+    icon: category.icon || '📌',
+    isHidden: Boolean(category.isHidden),
+    items: (category.items || []).map(item => ({
+        text: item.text,
+        description: item.description || '',
+        imageUrl: item.imageUrl || null,
+        tags: item.tags || []
+    })),
+    children: (category.children || []).map(formatTemplateCategory)
+});
+
+const formatTemplate = (template) => ({
+    id: template.templateId,
+    name: template.name,
+    icon: template.icon,
+    description: template.description || '',
+    isBuiltIn: Boolean(template.isBuiltIn),
+    categories: template.categories.map(formatTemplateCategory),
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+});
+
+// Create the template's categories, subcategories and starter items in a
+// space. Returns the created categories (parents before their children) with
+// their items.
+const applyTemplate = async (space, template, parentId = null, categories = []) => {
+    for (const [index, categoryData] of template.categories.entries()) {
+        const category = await Category.create({
+            spaceId: space.spaceId,
+            userId: space.userId,
+            parentId,
+            name: categoryData.name,
+            icon: categoryData.icon,
+            isHidden: categoryData.isHidden,
+            order: index
+        });
+
+        const items = await Item.insertMany((categoryData.items || []).map((item, itemIndex) => ({
+            spaceId: space.spaceId,
+            categoryId: category.categoryId,
+            userId: space.userId,
+            text: item.text,
+            description: item.description,
+            imageUrl: item.imageUrl,
+            tags: item.tags,
+            order: itemIndex
+        })));
+
+        categories.push({ category, items });
+
+        if (categoryData.children && categoryData.children.length > 0) {
+            await applyTemplate(space, { categories: categoryData.children }, category.categoryId, categories);
+        }
+    }
+
+    return categories;
+};
+
+// Template contents taken from an existing space: its category tree in order,
+// and their items when includeItems is set
+const buildTemplateCategories = async (spaceId, { includeItems = false } = {}) => {
+    const categories = await Category.find({ spaceId }).sort({ order: 1 });
+    const items = includeItems
+        ? await Item.find({ spaceId, categoryId: { $ne: null } }).sort({ order: 1 })
+        : [];
+
+    const nodes = categories.map(category => ({
+        id: category.categoryId,
+        parentId: category.parentId,
+        name: category.name,
+        icon: category.icon,
+        isHidden: category.isHidden,
+        items: items
+            .filter(item => item.categoryId === category.categoryId)
+            .map(item => ({
+                text: item.text,
+                description: item.description,
+                imageUrl: item.imageUrl,
+                tags: item.tags
+            }))
+    }));
+
+    // Templates don't keep ids, only the nesting
+    const stripIds = ({ id, parentId, children, ...category }) => ({
+        ...category,
+        children: children.map(stripIds)
+    });
+    return nestCategories(nodes).map(stripIds);
+};
+
+module.exports = {
+    findTemplate,
+    formatTemplate,
+    applyTemplate,
+    buildTemplateCategories
+};
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Every query issued while a transaction callback runs joins that transaction
+// automatically, so helpers don't need a session argument threaded through
+// (the option needs mongoose 8.4 or later)
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// Transactions need a replica set (Atlas always is one). Set
+// MONGODB_TRANSACTIONS=false for a standalone local server.
+const isEnabled = () => process.env.MONGODB_TRANSACTIONS !== 'false';
+
+const isInTransaction = () => {
+    const store = mongoose.transactionAsyncLocalStorage.getStore();
+    return Boolean(store && store.session && store.session.inTransaction());
+};
+
+// Run fn atomically: either everything it writes is committed or nothing is.
+// Calls made inside an open transaction join it instead of starting another.
+// The driver retries fn on transient errors, so fn must build any state it
+// mutates itself rather than accumulating into outer variables.
+const withTransaction = async (fn) => {
+    if (!isEnabled() || isInTransaction()) {
+        return fn();
+    }
+
+    let result;
+    await mongoose.connection.transaction(async () => {
+        result = await fn();
+    });
+    return result;
+};
+
+module.exports = {
+    withTransaction,
+    isInTransaction
+};
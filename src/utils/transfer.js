@@ -0,0 +1,266 @@
+const Space = require('../models/Space');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const { withTransaction } = require('./transaction');
+const { generateId } = require('./ids');
+const { getDescendantIds } = require('./categoryTree');
+const { recordLostAccess } = require('./deletion');
+
+// Fields that identify a record or its state rather than its content, and are
+// not carried over to a copy. reminderSentAt is kept so copies don't re-send
+// reminders that already went out.
+const NON_COPYABLE_FIELDS = [
+    '_id', '__v', 'itemId', 'categoryId', 'spaceId', 'userId',
+    'createdAt', 'updatedAt',
+    'deletedAt', 'deletedBy', 'trashRootId'
+];
+
+// Item fields describing a completion, cleared when a copy starts over
+const COMPLETION_RESET = {
+    isCompleted: false,
+    completedAt: null,
+    rating: null,
+    completionNote: null,
+    memoryPhotos: [],
+    completionHistory: []
+};
+
+// Copy of an item's fields that starts over: not completed, no step checked off
+const resetCompletionFields = (fields) => ({
+    ...fields,
+    ...COMPLETION_RESET,
+    steps: (fields.steps || []).map(step => ({ ...step, isCompleted: false, completedAt: null }))
+});
+
+const copyableFields = (doc) => {
+    const fields = doc.toObject();
+    NON_COPYABLE_FIELDS.forEach(field => delete fields[field]);
+    return fields;
+};
+
+// Point prerequisites at the copies of items copied along (itemIds maps old
+// ids to new ones). Links to items outside the copy are kept only when the copy
+// stays with the same owner.
+const remapPrerequisites = (prerequisiteIds, itemIds, keepOthers) => prerequisiteIds
+    .map(prerequisiteId => itemIds.get(prerequisiteId) || (keepOthers ? prerequisiteId : null))
+    .filter(Boolean);
+
+// Prerequisites only link items of one owner: items handed over to another
+// owner lose their links to the items left behind, and those lose theirs to them
+const unlinkFromPreviousOwner = async (itemIds, ownerId) => {
+    await Item.updateMany(
+        { itemId: { $in: itemIds }, prerequisiteIds: { $elemMatch: { $nin: itemIds } } },
+        { $pull: { prerequisiteIds: { $nin: itemIds } } }
+    );
+    await Item.updateMany(
+        { userId: { $ne: ownerId }, prerequisiteIds: { $in: itemIds } },
+        { $pull: { prerequisiteIds: { $in: itemIds } } }
+    );
+};
+
+// Users of a space who can't see the target space of a move out of it, and
+// whose devices need tombstones for the records that leave
+const findUsersLosingAccess = async (sourceSpaceId, targetSpace) => {
+    const source = sourceSpaceId === targetSpace.spaceId ? null : await Space.findOne({ spaceId: sourceSpaceId });
+    if (!source) {
+        return [];
+    }
+    const targetUsers = [targetSpace.userId, ...targetSpace.members.map(member => member.userId)];
+    return [source.userId, ...source.members.map(member => member.userId)]
+        .filter(userId => !targetUsers.includes(userId));
+};
+
+// Order value for `count` records inserted at `position` (0-based) among the
+// siblings matched by filter, shifting later siblings down to make room.
+// A missing or out-of-range position appends at the end.
+const makeRoom = async (Model, filter, position, count = 1) => {
+    const siblings = await Model.find(filter).sort({ order: 1 }).select('order');
+
+    if (position === undefined || position === null || position >= siblings.length) {
+        return siblings.length > 0 ? siblings[siblings.length - 1].order + 1 : 0;
+    }
+
+    const start = siblings[Math.max(0, position)].order;
+    await Model.updateMany({ ...filter, order: { $gte: start } }, { $inc: { order: count } });
+    return start;
+};
+
+// Move an item to a category (or uncategorized) of the target space
+const moveItemTo = (item, targetSpace, { categoryId = null, position } = {}) => withTransaction(async () => {
+    item.order = await makeRoom(Item, {
+        spaceId: targetSpace.spaceId,
+        categoryId,
+        itemId: { $ne: item.itemId }
+    }, position);
+    await recordLostAccess(await findUsersLosingAccess(item.spaceId, targetSpace), { items: [item] });
+
+    const changesOwner = item.userId !== targetSpace.userId;
+    item.spaceId = targetSpace.spaceId;
+    item.categoryId = categoryId;
+    item.userId = targetSpace.userId;
+    item.prerequisiteIds = remapPrerequisites(item.prerequisiteIds, new Map(), !changesOwner);
+
+    await item.save();
+    if (changesOwner) {
+        await unlinkFromPreviousOwner([item.itemId], targetSpace.userId);
+    }
+    return item;
+});
+
+// Copy an item into a category (or uncategorized) of the target space
+const copyItemTo = (item, targetSpace, { categoryId = null, position } = {}) => withTransaction(async () => {
+    const order = await makeRoom(Item, { spaceId: targetSpace.spaceId, categoryId }, position);
+
+    return Item.create({
+        ...copyableFields(item),
+        spaceId: targetSpace.spaceId,
+        categoryId,
+        userId: targetSpace.userId,
+        prerequisiteIds: remapPrerequisites(item.prerequisiteIds, new Map(), item.userId === targetSpace.userId),
+        order
+    });
+});
+
+// Move a category with its items under parentId (null for top level) in the
+// target space, which may be its own. Items keep their order within their
+// category; subcategories come along when the category changes space. The
+// caller checks that parentId is valid (see validateParent).
+const moveCategoryTo = (category, targetSpace, { parentId = null, position } = {}) => withTransaction(async () => {
+    category.order = await makeRoom(Category, {
+        spaceId: targetSpace.spaceId,
+        parentId,
+        categoryId: { $ne: category.categoryId }
+    }, position);
+
+    const descendantIds = category.spaceId === targetSpace.spaceId
+        ? []
+        : await getDescendantIds(category.spaceId, category.categoryId);
+
+    const itemFilter = { categoryId: { $in: [category.categoryId, ...descendantIds] } };
+
+    const losingAccess = await findUsersLosingAccess(category.spaceId, targetSpace);
+    if (losingAccess.length > 0) {
+        await recordLostAccess(losingAccess, {
+            categories: [category, ...await Category.find({ categoryId: { $in: descendantIds } })],
+            items: await Item.find(itemFilter)
+        });
+    }
+
+    if (descendantIds.length > 0) {
+        await Category.updateMany(
+            { categoryId: { $in: descendantIds } },
+            { $set: { spaceId: targetSpace.spaceId, userId: targetSpace.userId } }
+        );
+    }
+
+    const { modifiedCount } = await Item.updateMany(
+        itemFilter,
+        { $set: { spaceId: targetSpace.spaceId, userId: targetSpace.userId } }
+    );
+
+    if (category.userId !== targetSpace.userId) {
+        await unlinkFromPreviousOwner(await Item.find(itemFilter).distinct('itemId'), targetSpace.userId);
+    }
+
+    category.spaceId = targetSpace.spaceId;
+    category.userId = targetSpace.userId;
+    category.parentId = parentId;
+    await category.save();
+
+    return { category, subcategoriesMoved: descendantIds.length, itemsMoved: modifiedCount };
+});
+
+// Copy a category with its subcategories and items under parentId (null for
+// top level) in a space, possibly the same one
+const copyCategoryTo = (category, targetSpace, { parentId = null, position } = {}) => withTransaction(async () => {
+    const order = await makeRoom(Category, { spaceId: targetSpace.spaceId, parentId }, position);
+
+    const descendantIds = await getDescendantIds(category.spaceId, category.categoryId);
+    const descendants = await Category.find({ categoryId: { $in: descendantIds } }).sort({ order: 1 });
+
+    // Ids are picked up front so copied subcategories can point at their new parent
+    const categoryIds = new Map([category, ...descendants].map(source => [source.categoryId, generateId('category')]));
+
+    const [copy] = await Category.insertMany([
+        {
+            ...copyableFields(category),
+            categoryId: categoryIds.get(category.categoryId),
+            spaceId: targetSpace.spaceId,
+            userId: targetSpace.userId,
+            parentId,
+            order
+        },
+        ...descendants.map(descendant => ({
+            ...copyableFields(descendant),
+            categoryId: categoryIds.get(descendant.categoryId),
+            spaceId: targetSpace.spaceId,
+            userId: targetSpace.userId,
+            parentId: categoryIds.get(descendant.parentId)
+        }))
+    ]);
+
+    const items = await Item.find({ categoryId: { $in: [...categoryIds.keys()] } }).sort({ order: 1 });
+    const itemIds = new Map(items.map(item => [item.itemId, generateId('item')]));
+    await Item.insertMany(items.map(item => ({
+        ...copyableFields(item),
+        itemId: itemIds.get(item.itemId),
+        spaceId: targetSpace.spaceId,
+        categoryId: categoryIds.get(item.categoryId),
+        userId: targetSpace.userId,
+        prerequisiteIds: remapPrerequisites(item.prerequisiteIds, itemIds, category.userId === targetSpace.userId)
+    })));
+
+    return { category: copy, subcategoriesCopied: descendants.length, itemsCopied: items.length };
+});
+
+// Deep-copy a space with its categories and items into a new space owned by
+// userId, with fresh ids. Completed items can be skipped, or copied as not done.
+const cloneSpace = (space, userId, options = {}) => withTransaction(async () => {
+    const { name, resetCompletion = false, skipCompleted = false } = options;
+
+    const lastSpace = await Space.findOne({ userId }).sort({ order: -1 });
+    const copy = await Space.create({
+        userId,
+        name: name || `${space.name} (copy)`,
+        icon: space.icon,
+        isHidden: space.isHidden,
+        order: lastSpace ? lastSpace.order + 1 : 0
+    });
+
+    const categories = await Category.find({ spaceId: space.spaceId }).sort({ order: 1 });
+    const categoryIds = new Map(categories.map(category => [category.categoryId, generateId('category')]));
+    await Category.insertMany(categories.map(category => ({
+        ...copyableFields(category),
+        categoryId: categoryIds.get(category.categoryId),
+        parentId: category.parentId ? categoryIds.get(category.parentId) || null : null,
+        spaceId: copy.spaceId,
+        userId
+    })));
+
+    const itemFilter = { spaceId: space.spaceId };
+    if (skipCompleted) {
+        itemFilter.isCompleted = false;
+    }
+    const items = await Item.find(itemFilter).sort({ order: 1 });
+    const itemIds = new Map(items.map(item => [item.itemId, generateId('item')]));
+
+    await Item.insertMany(items.map(item => ({
+        ...(resetCompletion ? resetCompletionFields(copyableFields(item)) : copyableFields(item)),
+        itemId: itemIds.get(item.itemId),
+        spaceId: copy.spaceId,
+        categoryId: item.categoryId ? categoryIds.get(item.categoryId) || null : null,
+        userId,
+        prerequisiteIds: remapPrerequisites(item.prerequisiteIds, itemIds, userId === space.userId)
+    })));
+
+    return { space: copy, categoriesCopied: categories.length, itemsCopied: items.length };
+});
+
+module.exports = {
+    makeRoom,
+    moveItemTo,
+    copyItemTo,
+    moveCategoryTo,
+    copyCategoryTo,
+    cloneSpace
+};